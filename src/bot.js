@@ -1,36 +1,151 @@
-import { Telegraf } from "telegraf";
-import { config, updateConfig } from "./config.js";
+import { Telegraf, Markup } from "telegraf";
+import { config, updateConfig, validateEnv } from "./config.js";
 import {
+  createGroup,
+  getGroup,
+  getActiveGroups,
+  getAllGroups,
+  updateGroup,
   getCurrentIndex,
   updateProgress,
-  resetProgress,
+  getCurrentSession,
+  getSession,
+  getSessions,
+  getSessionStats,
+  getTopParticipants,
+  startSession,
+  updateSession,
   hardResetAllData,
+  upsertParticipant,
+  getParticipant,
+  findParticipantByUsername,
+  getParticipants,
+  getEnrolledReaderCount,
+  markParticipantLeft,
+  updateParticipantSettings,
   recordCompletion,
-  getProgress,
   getRecentDailyStats,
   getMonthlyStats,
   getLatestOverallStats,
   getUserCompletionCount,
+  getUserCompletionDates,
+  getMissingReadings,
+  refreshDailyStats,
+  addRestDay,
+  removeRestDay,
+  getRestDays,
+  getNextRestDay,
+  getRecentSendLogs,
+  recordSendLog,
+  removeCompletion,
+  getReadingCompletion,
+  getReadingCompletionCount,
+  getReadingPost,
+  getLatestReadingPost,
+  getReadingIndexForDate,
+  getReadingSendDate,
+  removeCompletionsByDate,
+  getUserCompletions,
+  writeAuditLog,
+  getRecentAuditLogs,
 } from "./database.js";
 import {
+  listImages,
   getTotalImageCount,
-  downloadImageByIndex,
+  getImageByIndex,
   validateIndex,
-  testS3Connection,
-} from "./s3Service.js";
+  getContentSourceName,
+  testContentSource,
+} from "./contentSource.js";
 import {
   getTodayDate,
   isAdmin,
   formatNumber,
+  getDisplayName,
+  formatReadingDays,
+  getWeekdayName,
+  parseWeekday,
+  addDays,
+  isValidDateString,
   logInfo,
   logError,
 } from "./utils.js";
 import {
   setBot,
+  buildCompletionKeyboard,
+  sendReadingImages,
   startAllSchedules,
   restartAllSchedules,
   getScheduleInfo,
+  runCatchUp,
+  JOB_LABELS,
 } from "./scheduler.js";
+import {
+  parseCompletionMessage,
+  resolveCompletionDate,
+} from "./completionParser.js";
+import { matchCompletionKeyword, RULE_LABELS } from "./keywordMatcher.js";
+import {
+  getProjectedEndDate,
+  calculateStreak,
+  isReadingDay,
+} from "./calendar.js";
+
+// 휴독일 기간 등록/삭제 시 최대 일수
+const MAX_REST_RANGE_DAYS = 60;
+
+// 날짜처럼 보이는 인자 (휴독일 종료일과 사유 구분용)
+const DATE_LIKE_PATTERN = /^\d{4}-\d{1,2}-\d{1,2}$/;
+
+// /missing에 표시할 최대 구절 수
+const MAX_MISSING_LIST = 30;
+
+// /completions에 표시할 최대 기록 수
+const MAX_COMPLETION_LIST = 50;
+
+// /completions 기본 조회 기간 (일)
+const DEFAULT_COMPLETION_LIST_DAYS = 30;
+
+// /audit에 표시할 변경 값의 최대 길이
+const MAX_AUDIT_VALUE_LENGTH = 200;
+
+// 완독 취소 안내를 누르지 않으면 자동으로 지우기까지의 시간 (밀리초)
+const UNDO_PROMPT_TTL_MS = 60 * 1000;
+
+// 완독 기록 방법 표시
+const COMPLETION_SOURCE_LABELS = {
+  keyword: "키워드",
+  button: "버튼",
+  reaction: "반응",
+  admin: "관리자",
+};
+
+// 통독 세션 상태 표시
+const SESSION_STATUS_LABELS = {
+  scheduled: "⏰ 시작 대기",
+  active: "📖 진행 중",
+  completed: "🎊 완료",
+  aborted: "⏹️ 중단",
+};
+
+// 완독 확인 방식 표시
+const ACK_MODE_LABELS = {
+  none: "🔕 확인 없음 (조용히 기록)",
+  reaction: "👌 메시지에 반응",
+  reply: "💬 답장",
+  dm: "✉️ 개인 메시지",
+};
+
+// 수신할 업데이트 종류 (chat_member, message_reaction은 명시해야 수신되며, 봇이 그룹 관리자여야 함)
+const ALLOWED_UPDATES = [
+  "message",
+  "chat_member",
+  "callback_query",
+  "message_reaction",
+];
+
+// 봇 토큰, 이미지 저장소 등 봇 실행에 필요한 환경 변수 확인
+validateEnv();
 
 // 봇 인스턴스 생성
 const bot = new Telegraf(config.telegram.botToken);
@@ -38,6 +153,174 @@ const bot = new Telegraf(config.telegram.botToken);
 // 스케줄러에 봇 인스턴스 전달
 setBot(bot);
 
+// 개인 대화에서 사용자가 선택한 그룹 (사용자 ID → 그룹 Chat ID)
+const selectedGroups = new Map();
+
+// 그룹별 마지막 완독 확인 답장 시각 (답장 도배 방지)
+const lastAckReplies = new Map();
+
+/**
+ * 명령어가 어느 그룹의 데이터를 대상으로 하는지 결정
+ * - 그룹 대화: 해당 그룹
+ * - 개인 대화: /usegroup 으로 선택한 그룹, 활성 그룹이 하나뿐이면 그 그룹
+ * 결정할 수 없으면 안내 메시지를 보내고 null 반환
+ * @returns {Promise<Object|null>} 그룹 정보
+ */
+async function resolveGroup(ctx) {
+  if (ctx.chat.type !== "private") {
+    const group = getGroup(ctx.chat.id);
+    if (!group || !group.active) {
+      await ctx.reply(
+        "이 그룹은 통독 그룹으로 등록되어 있지 않습니다.\n관리자가 /addgroup 으로 등록할 수 있습니다."
+      );
+      return null;
+    }
+    return group;
+  }
+
+  const groups = getActiveGroups();
+  const selected = groups.find(
+    (group) => group.chat_id === selectedGroups.get(ctx.from.id)
+  );
+  if (selected) {
+    return selected;
+  }
+
+  if (groups.length === 1) {
+    return groups[0];
+  }
+
+  if (groups.length === 0) {
+    await ctx.reply("등록된 통독 그룹이 없습니다.");
+    return null;
+  }
+
+  await ctx.reply(
+    "여러 통독 그룹이 있습니다. 먼저 그룹을 선택해주세요.\n\n" +
+      groups.map((group) => `/usegroup ${group.chat_id} - ${formatGroupName(group)}`).join("\n")
+  );
+  return null;
+}
+
+/**
+ * 그룹 표시 이름
+ */
+function formatGroupName(group) {
+  return group.title || `그룹 ${group.chat_id}`;
+}
+
+/**
+ * 관리자 명령어의 대상 참여자 결정
+ * - 메시지에 답장하며 명령어를 보내면 답장 대상
+ * - @사용자명 또는 사용자 ID
+ * 찾을 수 없으면 안내 메시지를 보내고 null 반환
+ * @param {string} arg - 명령어 인자 (@사용자명 또는 사용자 ID)
+ * @returns {Promise<Object|null>} 참여자 정보
+ */
+async function resolveTargetUser(ctx, group, arg) {
+  const replyTo = ctx.message.reply_to_message;
+  if (replyTo && replyTo.from && ctx.chat.id === group.chat_id) {
+    if (!getParticipant(group.chat_id, replyTo.from.id)) {
+      upsertParticipant(group.chat_id, replyTo.from);
+    }
+    return getParticipant(group.chat_id, replyTo.from.id);
+  }
+
+  let participant = null;
+  if (arg && /^\d+$/.test(arg)) {
+    participant = getParticipant(group.chat_id, parseInt(arg));
+  } else if (arg) {
+    participant = findParticipantByUsername(group.chat_id, arg.replace(/^@/, ""));
+  }
+
+  if (!participant) {
+    await ctx.reply(
+      arg
+        ? `❌ 참여자를 찾을 수 없습니다: ${arg}\n/members 로 참여자 목록을 확인해주세요.`
+        : "대상 사용자의 메시지에 답장하거나 @사용자명 또는 사용자 ID를 입력해주세요."
+    );
+  }
+  return participant;
+}
+
+/**
+ * 관리자 명령어 실행 기록 (명령어 이름과 인자는 메시지에서 가져옴)
+ * @param {number|null} chatId - 작업 대상 그룹 Chat ID (전체 설정 변경이면 null)
+ * @param {Object} options - { targetUserId, before, after, details }
+ */
+function auditCommand(ctx, chatId, options = {}) {
+  const [command, ...args] = ctx.message.text.split(" ");
+  writeAuditLog(chatId, ctx.from, command.slice(1).split("@")[0], {
+    ...options,
+    args: args.join(" ").trim() || null,
+  });
+}
+
+// ==================== 참여자 기록 ====================
+
+/**
+ * 통독 그룹의 메시지마다 참여자 목록 갱신 (이름 변경, 입장, 퇴장)
+ * 봇도 기록하되 is_bot으로 표시되어 완독률 계산에서 제외됩니다.
+ */
+bot.use(async (ctx, next) => {
+  try {
+    const message = ctx.message;
+    // 메시지, 버튼 누름, 반응 모두 참여자 활동으로 기록
+    const group =
+      (message || ctx.callbackQuery || ctx.messageReaction) &&
+      ctx.chat &&
+      ctx.chat.type !== "private"
+        ? getGroup(ctx.chat.id)
+        : null;
+
+    if (group) {
+      if (ctx.from) {
+        upsertParticipant(group.chat_id, ctx.from);
+      }
+      if (message) {
+        (message.new_chat_members || []).forEach((member) =>
+          upsertParticipant(group.chat_id, member, { joined: true })
+        );
+        if (message.left_chat_member) {
+          markParticipantLeft(group.chat_id, message.left_chat_member.id);
+        }
+      }
+    }
+  } catch (error) {
+    logError("참여자 기록 실패", error);
+  }
+
+  return next();
+});
+
+/**
+ * 멤버 상태 변경 (입장, 퇴장, 강퇴) - 봇이 그룹 관리자일 때만 수신됩니다.
+ */
+bot.on("chat_member", async (ctx) => {
+  try {
+    const group = getGroup(ctx.chat.id);
+    if (!group) {
+      return;
+    }
+
+    const { old_chat_member: oldMember, new_chat_member: newMember } =
+      ctx.chatMember;
+    const isMember = (member) =>
+      ["creator", "administrator", "member"].includes(member.status) ||
+      (member.status === "restricted" && member.is_member);
+
+    if (!isMember(newMember)) {
+      markParticipantLeft(group.chat_id, newMember.user.id);
+    } else {
+      upsertParticipant(group.chat_id, newMember.user, {
+        joined: !isMember(oldMember),
+      });
+    }
+  } catch (error) {
+    logError("멤버 상태 변경 처리 실패", error);
+  }
+});
+
 // ==================== 명령어 핸들러 ====================
 
 /**
@@ -57,18 +340,43 @@ bot.command("start", async (ctx) => {
       `/stats - 최근 통독 통계\n` +
       `/monthly [년] [월] - 월간 통계\n` +
       `/overall - 전체 통독 통계\n` +
-      `/mycount - 내 완독 횟수\n\n`;
+      `/mycount - 내 완독 횟수\n` +
+      `/streak - 내 연속 통독 일수\n` +
+      `/missing - 내가 아직 완독하지 않은 구절\n` +
+      `/sessions - 통독 세션 목록\n` +
+      `/session [ID] - 세션 상세 통계\n` +
+      `/compare [ID] - 이번 세션과 지난 세션 비교\n` +
+      `/nickname [별명] - 순위에 표시할 별명 설정\n` +
+      `/hideme, /showme - 순위에서 내 이름 숨기기/보이기\n` +
+      `/usegroup [Chat ID] - 개인 대화에서 조회할 그룹 선택\n\n`;
 
     // 관리자에게만 관리자 명령어 안내
     if (isAdmin(ctx.from.id)) {
       message +=
         `🔧 관리자 명령어:\n` +
-        `/reset [인덱스] - 진행 상황 초기화 (통계 보존)\n` +
+        `/groups - 통독 그룹 목록\n` +
+        `/addgroup [이름] - 현재 그룹을 통독 그룹으로 등록\n` +
+        `/removegroup - 현재 그룹의 통독 중지\n` +
+        `/reset [인덱스] [이름] - 새 통독 세션 시작 (통계 보존)\n` +
         `/hardreset CONFIRM [인덱스] - 모든 데이터 완전 초기화\n` +
-        `/skip - 하루 건너뛰기\n` +
+        `/skip - 다음 구절 건너뛰기\n` +
         `/send [인덱스] - 특정 구절 즉시 전송\n` +
         `/setstart [날짜] [시간] [인덱스] - 시작일/시간/인덱스 설정\n` +
-        `/test - S3 연결 테스트\n` +
+        `/excludedays [요일...] - 쉬는 요일 조회/설정\n` +
+        `/addrest [날짜] [종료일] [사유] - 휴독일 추가\n` +
+        `/removerest [날짜] [종료일] - 휴독일 삭제\n` +
+        `/restdays - 휴독일 목록\n` +
+        `/sendlog [개수] - 전송 기록 조회\n` +
+        `/audit [개수] - 관리자 작업 기록 조회\n` +
+        `/catchup - 누락된 전송 확인 및 처리\n` +
+        `/members - 참여자 목록 및 완독률 계산 대상\n` +
+        `/exclude, /include [@사용자명|ID] - 완독률 계산 제외/포함\n` +
+        `/addcompletion [사용자] [날짜|구절] - 완독 대신 기록\n` +
+        `/removecompletion [사용자] [날짜|구절] - 완독 기록 삭제\n` +
+        `/completions [사용자] [시작일] [종료일] - 완독 기록 조회\n` +
+        `/testkeyword [메시지] - 완독 키워드 인식 테스트\n` +
+        `/ackmode [방식] - 완독 확인 방식 (none, reaction, reply, dm)\n` +
+        `/test - 이미지 저장소 연결 테스트\n` +
         `/scheduleinfo - 스케줄러 정보 조회\n\n`;
     }
 
@@ -87,31 +395,51 @@ bot.command("start", async (ctx) => {
  */
 bot.command("status", async (ctx) => {
   try {
-    const currentIndex = getCurrentIndex();
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const currentIndex = getCurrentIndex(group.chat_id);
     const totalCount = await getTotalImageCount();
-    const progress = getProgress();
+    const session = getCurrentSession(group.chat_id);
     const percentage =
       totalCount > 0 ? ((currentIndex / totalCount) * 100).toFixed(1) : 0;
 
-    let message = `📊 현재 진행 상황\n\n`;
+    let message = `📊 현재 진행 상황 - ${formatGroupName(group)}\n\n`;
+    message += `세션: ${session.name} (${
+      SESSION_STATUS_LABELS[session.status] || session.status
+    })\n`;
 
     // 시작일 정보 표시
-    if (config.startDate) {
+    if (group.start_date) {
       const today = getTodayDate();
-      const startDate = config.startDate;
+      const startDate = group.start_date;
 
       if (today < startDate) {
         message += `⏰ 시작 예정일: ${startDate}\n`;
-        message += `시작 인덱스: ${config.startIndex || 0}\n`;
+        message += `시작 인덱스: ${group.start_index || 0}\n`;
         message += `상태: 시작 대기 중\n\n`;
       } else {
         message += `시작일: ${startDate}\n\n`;
       }
     }
 
+    const remaining = totalCount - currentIndex;
+    const nextRestDay = getNextRestDay(group.chat_id, getTodayDate());
+    const projectedEndDate = getProjectedEndDate(
+      remaining,
+      session.last_sent_date,
+      group
+    );
+
     message += `진행: ${currentIndex} / ${totalCount} (${percentage}%)\n`;
-    message += `마지막 전송일: ${progress.last_sent_date || "없음"}\n`;
-    message += `남은 구절: ${totalCount - currentIndex}개`;
+    message += `마지막 전송일: ${session.last_sent_date || "없음"}\n`;
+    message += `남은 구절: ${remaining}개\n`;
+    message += `다음 휴독일: ${
+      nextRestDay
+        ? `${nextRestDay.date}${nextRestDay.reason ? ` (${nextRestDay.reason})` : ""}`
+        : "없음"
+    }\n`;
+    message += `예상 종료일: ${projectedEndDate || "-"}`;
 
     await ctx.reply(message);
     logInfo(`/status 명령어 실행: 사용자 ${ctx.from.username || ctx.from.id}`);
@@ -126,7 +454,10 @@ bot.command("status", async (ctx) => {
  */
 bot.command("stats", async (ctx) => {
   try {
-    const recentStats = getRecentDailyStats(7);
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const recentStats = getRecentDailyStats(group.chat_id, 7);
 
     if (recentStats.length === 0) {
       await ctx.reply("아직 통계 데이터가 없습니다.");
@@ -136,7 +467,8 @@ bot.command("stats", async (ctx) => {
     let message = `📈 최근 ${recentStats.length}일 통독 통계\n\n`;
 
     recentStats.reverse().forEach((stat) => {
-      message += `${stat.date}: ${stat.completion_rate}% (${stat.completed_count}/${stat.total_members}명)\n`;
+      message += `${stat.date}: ${stat.completion_rate}% (${stat.completed_count}/${stat.total_members}명)`;
+      message += stat.late_count > 0 ? ` · 늦은 완독 ${stat.late_count}명\n` : `\n`;
     });
 
     const avgRate = (
@@ -167,7 +499,10 @@ bot.command("monthly", async (ctx) => {
       return;
     }
 
-    const stats = getMonthlyStats(year, month);
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const stats = getMonthlyStats(group.chat_id, year, month);
 
     if (!stats) {
       await ctx.reply(`${year}년 ${month}월 통계가 없습니다.`);
@@ -193,19 +528,22 @@ bot.command("monthly", async (ctx) => {
  */
 bot.command("overall", async (ctx) => {
   try {
-    const stats = getLatestOverallStats();
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const stats = getLatestOverallStats(group.chat_id);
 
     if (!stats) {
       await ctx.reply("아직 전체 통독을 완료하지 않았습니다.");
       return;
     }
 
-    const topParticipants = JSON.parse(stats.top_participants);
+    // 저장된 순위에 현재 참여자 목록의 이름과 숨김 설정 반영
+    const topParticipants = JSON.parse(stats.top_participants)
+      .map((p) => ({ ...p, ...getParticipant(group.chat_id, p.user_id) }))
+      .filter((p) => !p.hidden);
     const topList = topParticipants
-      .map((p, idx) => {
-        const name = p.first_name || p.username || `사용자${p.user_id}`;
-        return `${idx + 1}. ${name}: ${p.count}회`;
-      })
+      .map((p, idx) => `${idx + 1}. ${getDisplayName(p)}: ${p.count}회`)
       .join("\n");
 
     const message =
@@ -229,338 +567,1822 @@ bot.command("overall", async (ctx) => {
 });
 
 /**
- * /mycount - 내 완독 횟수 조회
+ * 세션 기간 표시 (예: 2026-01-01 ~ 2026-09-30)
  */
-bot.command("mycount", async (ctx) => {
+function formatSessionPeriod(session) {
+  if (session.status === "scheduled") {
+    return `${session.start_date} 시작 예정`;
+  }
+  return `${session.start_date || "?"} ~ ${session.end_date || "진행 중"}`;
+}
+
+/**
+ * /sessions - 통독 세션 목록
+ */
+bot.command("sessions", async (ctx) => {
   try {
-    const userId = ctx.from.id;
-    const count = getUserCompletionCount(userId);
-    const name = ctx.from.first_name || ctx.from.username || "님";
+    const group = await resolveGroup(ctx);
+    if (!group) return;
 
-    await ctx.reply(`${name}의 완독 횟수: ${count}회`);
-    logInfo(`/mycount 명령어 실행: 사용자 ${ctx.from.username || ctx.from.id}`);
+    const sessions = getSessions(group.chat_id);
+
+    if (sessions.length === 0) {
+      await ctx.reply("통독 세션이 없습니다.");
+      return;
+    }
+
+    let message = `📚 통독 세션 목록 - ${formatGroupName(group)}\n\n`;
+
+    sessions.forEach((session) => {
+      const stats = getSessionStats(session.id);
+      message += `#${session.id} ${session.name} (${
+        SESSION_STATUS_LABELS[session.status] || session.status
+      })\n`;
+      message += `   기간: ${formatSessionPeriod(session)}\n`;
+      message += `   진행: ${session.current_index}번 구절까지, 통독일 ${stats.reading_days}일\n`;
+      message += `   평균 완독률: ${stats.average_rate}%\n\n`;
+    });
+
+    message += `💡 /session [ID] 로 세션별 상세 통계를 볼 수 있습니다.`;
+
+    await ctx.reply(message);
+    logInfo(`/sessions 명령어 실행: 사용자 ${ctx.from.username || ctx.from.id}`);
   } catch (error) {
-    logError("/mycount 명령어 실패", error);
+    logError("/sessions 명령어 실패", error);
     await ctx.reply("오류가 발생했습니다.");
   }
 });
 
-// ==================== 관리자 명령어 ====================
-
 /**
- * /reset - 진행 상황 초기화 (관리자 전용)
+ * /session - 세션 상세 통계 (기본: 현재 세션)
  */
-bot.command("reset", async (ctx) => {
+bot.command("session", async (ctx) => {
   try {
-    if (!isAdmin(ctx.from.id)) {
-      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const args = ctx.message.text.split(" ").slice(1);
+    const sessionId = args[0] ? parseInt(args[0]) : null;
+
+    if (args[0] && isNaN(sessionId)) {
+      await ctx.reply("올바른 세션 ID를 입력해주세요.\n예: /session 3");
       return;
     }
 
-    const args = ctx.message.text.split(" ").slice(1);
-    const newIndex = args[0] ? parseInt(args[0]) : 0;
+    const session = sessionId
+      ? getSession(sessionId)
+      : getCurrentSession(group.chat_id);
 
-    if (isNaN(newIndex) || newIndex < 0) {
-      await ctx.reply("올바른 인덱스를 입력해주세요.\n예: /reset 0");
+    if (!session || session.chat_id !== group.chat_id) {
+      await ctx.reply("❌ 해당 세션이 없습니다. /sessions 로 목록을 확인해주세요.");
       return;
     }
 
-    resetProgress(newIndex);
-    await ctx.reply(
-      `✅ 진행 상황이 ${newIndex}번으로 초기화되었습니다.\n\n💡 통계는 보존됩니다.`
-    );
+    const stats = getSessionStats(session.id);
+    const topParticipants = getTopParticipants(group.chat_id, 5, session.id);
+    const topList =
+      topParticipants.length > 0
+        ? topParticipants
+            .map((p, idx) => `${idx + 1}. ${getDisplayName(p)}: ${p.count}회`)
+            .join("\n")
+        : "아직 완독 기록이 없습니다.";
+
+    let message =
+      `📖 #${session.id} ${session.name}\n\n` +
+      `상태: ${SESSION_STATUS_LABELS[session.status] || session.status}\n` +
+      `기간: ${formatSessionPeriod(session)}\n`;
+    if (session.plan) {
+      message += `통독 계획: ${session.plan}\n`;
+    }
+    message +=
+      `구절: ${session.start_index ?? "?"}번 → ${session.current_index}번\n\n` +
+      `📊 통계\n` +
+      `통독일: ${stats.reading_days}일\n` +
+      `총 완독 횟수: ${formatNumber(stats.total_completions)}회` +
+      (stats.late_completions > 0 ? ` (늦은 완독 ${stats.late_completions}회)` : "") +
+      `\n` +
+      `평균 완독률: ${stats.average_rate}%\n` +
+      `참여자: ${stats.participants}명\n\n` +
+      `🏆 완독왕 TOP 5\n${topList}`;
+
+    await ctx.reply(message);
     logInfo(
-      `/reset 명령어 실행: 관리자 ${
-        ctx.from.username || ctx.from.id
-      }, 인덱스 ${newIndex}`
+      `/session 명령어 실행: 사용자 ${ctx.from.username || ctx.from.id}, 세션 ${session.id}`
     );
   } catch (error) {
-    logError("/reset 명령어 실패", error);
+    logError("/session 명령어 실패", error);
     await ctx.reply("오류가 발생했습니다.");
   }
 });
 
 /**
- * /hardreset - 모든 데이터 완전 초기화 (관리자 전용)
- * 주의: 모든 완독 기록과 통계가 삭제됩니다!
+ * /compare - 이번 세션과 지난 세션을 같은 일차 기준으로 비교
  */
-bot.command("hardreset", async (ctx) => {
+bot.command("compare", async (ctx) => {
   try {
-    if (!isAdmin(ctx.from.id)) {
-      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
-      return;
-    }
+    const group = await resolveGroup(ctx);
+    if (!group) return;
 
     const args = ctx.message.text.split(" ").slice(1);
+    const sessions = getSessions(group.chat_id);
+    const current = sessions[0];
 
-    // 확인 단계: "CONFIRM"을 입력해야 실행
-    if (args[0] !== "CONFIRM") {
+    // 비교 대상: 지정한 세션 또는 바로 이전 세션
+    const previous = args[0]
+      ? sessions.find((session) => session.id === parseInt(args[0]))
+      : sessions[1];
+
+    if (!current || !previous || previous.id === current.id) {
       await ctx.reply(
-        `⚠️  경고: 전체 데이터 초기화\n\n` +
-          `이 명령어는 다음 데이터를 모두 삭제합니다:\n` +
-          `• 모든 완독 기록\n` +
-          `• 일일 통계\n` +
-          `• 월간 통계\n` +
-          `• 전체 통독 통계\n` +
-          `• 진행 상황\n\n` +
-          `정말로 실행하시려면:\n` +
-          `/hardreset CONFIRM [인덱스]\n\n` +
-          `예: /hardreset CONFIRM 0`
+        args[0]
+          ? "❌ 비교할 세션이 없습니다. /sessions 로 목록을 확인해주세요."
+          : "비교할 지난 세션이 없습니다."
       );
       return;
     }
 
-    const newIndex = args[1] ? parseInt(args[1]) : 0;
+    const currentStats = getSessionStats(current.id);
+    const dayNumber = currentStats.reading_days;
 
-    if (isNaN(newIndex) || newIndex < 0) {
-      await ctx.reply(
-        "올바른 인덱스를 입력해주세요.\n예: /hardreset CONFIRM 0"
-      );
+    if (dayNumber === 0) {
+      await ctx.reply("이번 세션의 통계 데이터가 아직 없습니다.");
       return;
     }
 
-    // 전체 데이터 초기화 실행
-    const success = hardResetAllData(newIndex);
+    const previousStats = getSessionStats(previous.id, dayNumber);
+    const rateDiff = currentStats.average_rate - previousStats.average_rate;
+    const trend =
+      rateDiff > 0 ? "📈 늘었습니다" : rateDiff < 0 ? "📉 줄었습니다" : "➖ 같습니다";
 
-    if (success) {
-      await ctx.reply(
-        `✅ 전체 데이터가 완전히 초기화되었습니다.\n\n` +
-          `시작 인덱스: ${newIndex}\n` +
-          `모든 통계가 삭제되었습니다.`
-      );
-      logInfo(
-        `/hardreset 명령어 실행: 관리자 ${
-          ctx.from.username || ctx.from.id
-        }, 인덱스 ${newIndex}`
-      );
-    } else {
-      await ctx.reply("❌ 데이터 초기화 중 오류가 발생했습니다.");
+    let message =
+      `📊 세션 비교 (${dayNumber}일차 기준)\n\n` +
+      `이번: #${current.id} ${current.name}\n` +
+      `   평균 완독률: ${currentStats.average_rate}%\n` +
+      `   총 완독 횟수: ${formatNumber(currentStats.total_completions)}회\n` +
+      `   참여자: ${currentStats.participants}명\n\n` +
+      `지난: #${previous.id} ${previous.name}`;
+
+    if (previousStats.reading_days < dayNumber) {
+      message += ` (${previousStats.reading_days}일까지만 기록)`;
     }
+
+    message +=
+      `\n   평균 완독률: ${previousStats.average_rate}%\n` +
+      `   총 완독 횟수: ${formatNumber(previousStats.total_completions)}회\n` +
+      `   참여자: ${previousStats.participants}명\n\n` +
+      `완독률 변화: ${rateDiff > 0 ? "+" : ""}${rateDiff.toFixed(1)}%p ${trend}`;
+
+    await ctx.reply(message);
+    logInfo(
+      `/compare 명령어 실행: 사용자 ${ctx.from.username || ctx.from.id}, 세션 ${current.id} vs ${previous.id}`
+    );
   } catch (error) {
-    logError("/hardreset 명령어 실패", error);
-    await ctx.reply("❌ 오류가 발생했습니다.");
+    logError("/compare 명령어 실패", error);
+    await ctx.reply("오류가 발생했습니다.");
   }
 });
 
 /**
- * /skip - 현재 인덱스 건너뛰기 (관리자 전용)
+ * /mycount - 내 완독 횟수 조회
  */
-bot.command("skip", async (ctx) => {
+bot.command("mycount", async (ctx) => {
   try {
-    if (!isAdmin(ctx.from.id)) {
-      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
-      return;
-    }
+    const group = await resolveGroup(ctx);
+    if (!group) return;
 
-    const currentIndex = getCurrentIndex();
-    const newIndex = currentIndex + 1;
+    const userId = ctx.from.id;
+    const count = getUserCompletionCount(group.chat_id, userId);
+    const participant = getParticipant(group.chat_id, userId);
+    const name = participant
+      ? getDisplayName(participant)
+      : ctx.from.first_name || ctx.from.username || "님";
 
-    updateProgress(newIndex);
-    await ctx.reply(
-      `✅ ${currentIndex}번 구절을 건너뛰고 ${newIndex}번으로 이동했습니다.`
-    );
-    logInfo(`/skip 명령어 실행: 관리자 ${ctx.from.username || ctx.from.id}`);
+    await ctx.reply(`${name}의 완독 횟수: ${count}회`);
+    logInfo(`/mycount 명령어 실행: 사용자 ${ctx.from.username || ctx.from.id}`);
   } catch (error) {
-    logError("/skip 명령어 실패", error);
+    logError("/mycount 명령어 실패", error);
     await ctx.reply("오류가 발생했습니다.");
   }
 });
 
 /**
- * /setstart - 시작일, 전송 시간, 시작 인덱스 설정 (관리자 전용)
+ * /streak - 내 연속 통독 일수 조회 (쉬는 요일과 휴독일은 연속 기록을 끊지 않음)
  */
-bot.command("setstart", async (ctx) => {
+bot.command("streak", async (ctx) => {
   try {
-    if (!isAdmin(ctx.from.id)) {
-      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
-      return;
-    }
+    const group = await resolveGroup(ctx);
+    if (!group) return;
 
-    const args = ctx.message.text.split(" ").slice(1);
+    const userId = ctx.from.id;
+    const today = getTodayDate();
+    const { current, longest, lastDate } = calculateStreak(
+      group.chat_id,
+      getUserCompletionDates(group.chat_id, userId),
+      today
+    );
+    const participant = getParticipant(group.chat_id, userId);
+    const name = participant
+      ? getDisplayName(participant)
+      : ctx.from.first_name || ctx.from.username || "님";
 
-    if (args.length === 0) {
-      await ctx.reply(
-        "사용법:\n" +
-          "/setstart [날짜] [시간] [인덱스]\n\n" +
-          "예시:\n" +
-          "/setstart 2026-02-10 05:00 1  - 2026년 2월 10일 오전 5시부터 1번 구절부터\n" +
-          "/setstart 2026-02-10 05:00    - 2026년 2월 10일 오전 5시부터 (현재 인덱스 유지)\n" +
-          "/setstart 2026-02-10          - 2026년 2월 10일부터 (현재 시간, 인덱스 유지)\n" +
-          "/setstart null 08:00 50       - 즉시 시작, 오전 8시 전송, 50번 구절부터\n" +
-          "/setstart null 08:00          - 시간만 변경 (즉시 시작)\n\n" +
-          `현재 설정:\n` +
-          `- 시작일: ${config.startDate || "즉시 시작"}\n` +
-          `- 전송 시간: ${config.sendTime}\n` +
-          `- 인덱스: ${config.startIndex || 0}`
-      );
-      return;
+    let message =
+      `🔥 ${name}의 연속 통독\n\n` +
+      `현재 연속: ${current}일\n` +
+      `최장 기록: ${longest}일`;
+
+    const nextMilestone = (config.streakMilestones || [])
+      .filter((milestone) => milestone > current)
+      .sort((a, b) => a - b)[0];
+    if (current > 0 && nextMilestone) {
+      message += `\n다음 목표: ${nextMilestone}일 (${nextMilestone - current}일 남음)`;
     }
 
-    let startDate = args[0];
-    let sendTime = args[1];
-    let startIndex = args[2] ? parseInt(args[2]) : undefined;
+    if (current > 0 && lastDate !== today && isReadingDay(group.chat_id, today)) {
+      message += `\n\n⏳ 오늘 완독하면 연속 기록이 이어집니다!`;
+    } else if (current === 0 && longest > 0) {
+      message += `\n\n💔 연속 기록이 끊겼어요. 오늘부터 다시 시작해요!`;
+    }
 
-    // 날짜 검증
-    if (startDate === "null") {
-      startDate = null;
-    } else if (startDate) {
-      // YYYY-MM-DD 형식 검증
-      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-      if (!dateRegex.test(startDate)) {
-        await ctx.reply(
-          "❌ 날짜 형식이 올바르지 않습니다. YYYY-MM-DD 형식으로 입력해주세요.\n예: 2026-02-10"
-        );
-        return;
-      }
+    await ctx.reply(message);
+    logInfo(`/streak 명령어 실행: 사용자 ${ctx.from.username || ctx.from.id}`);
+  } catch (error) {
+    logError("/streak 명령어 실패", error);
+    await ctx.reply("오류가 발생했습니다.");
+  }
+});
 
-      // 유효한 날짜인지 확인
-      const date = new Date(startDate);
-      if (isNaN(date.getTime())) {
-        await ctx.reply("❌ 유효하지 않은 날짜입니다.");
-        return;
-      }
-    }
+/**
+ * /missing - 내가 아직 완독하지 않은 구절 목록 (건너뛴 구절 제외)
+ */
+bot.command("missing", async (ctx) => {
+  try {
+    const group = await resolveGroup(ctx);
+    if (!group) return;
 
-    // 시간 검증
-    if (sendTime && sendTime !== "null") {
-      const timeRegex = /^([0-1][0-9]|2[0-3]):([0-5][0-9])$/;
-      if (!timeRegex.test(sendTime)) {
-        await ctx.reply(
-          "❌ 시간 형식이 올바르지 않습니다. HH:MM 형식으로 입력해주세요.\n예: 05:00, 08:30"
-        );
-        return;
-      }
-    } else if (sendTime === "null") {
-      sendTime = undefined;
+    const userId = ctx.from.id;
+    const missing = getMissingReadings(group.chat_id, userId);
+    const participant = getParticipant(group.chat_id, userId);
+    const name = participant
+      ? getDisplayName(participant)
+      : ctx.from.first_name || ctx.from.username || "님";
+
+    if (missing.length === 0) {
+      await ctx.reply(`🎉 ${name}님은 지금까지 전송된 구절을 모두 완독했습니다!`);
+      return;
     }
 
-    // 인덱스 검증
-    if (args[2] === "null") {
-      startIndex = undefined;
-    } else if (startIndex !== undefined) {
-      if (isNaN(startIndex) || startIndex < 0) {
-        await ctx.reply("❌ 시작 인덱스는 0 이상의 숫자여야 합니다.");
-        return;
-      }
+    // manifest.json의 제목 또는 이미지 파일 이름 (목록 조회에 실패하면 구절 번호만 표시)
+    let fileNames = new Map();
+    try {
+      const images = await listImages();
+      fileNames = new Map(images.map((img) => [img.index, img.title || img.key]));
+    } catch (error) {
+      logError("/missing 이미지 목록 조회 실패", error);
     }
 
-    // 설정 업데이트
-    const updates = {};
-    if (startDate !== undefined) {
-      updates.startDate = startDate;
-    }
-    if (startIndex !== undefined) {
-      updates.startIndex = startIndex;
-    }
-    if (sendTime) {
-      updates.sendTime = sendTime;
+    const shown = missing.slice(0, MAX_MISSING_LIST);
+    let message = `📋 ${name}님이 아직 완독하지 않은 구절 (${missing.length}개)\n\n`;
+    message += shown
+      .map((index) =>
+        fileNames.has(index) ? `${index}번 - ${fileNames.get(index)}` : `${index}번`
+      )
+      .join("\n");
+    if (missing.length > shown.length) {
+      message += `\n... 외 ${missing.length - shown.length}개`;
     }
+    message += `\n\n💡 "완독 ${shown[shown.length - 1]}"처럼 구절 번호를 붙여 완독을 기록할 수 있습니다.`;
 
-    await updateConfig(updates);
-
-    // 시작 인덱스가 설정되었으면 새로운 세션 생성
+    await ctx.reply(message);
+    logInfo(`/missing 명령어 실행: 사용자 ${ctx.from.username || ctx.from.id}`);
+  } catch (error) {
+    logError("/missing 명령어 실패", error);
+    await ctx.reply("오류가 발생했습니다.");
+  }
+});
+
+/**
+ * /nickname - 순위에 표시할 별명 설정 (인자 없으면 별명 삭제)
+ */
+bot.command("nickname", async (ctx) => {
+  try {
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const nickname = ctx.message.text.split(" ").slice(1).join(" ").trim();
+
+    if (nickname.length > 32) {
+      await ctx.reply("❌ 별명은 32자 이하로 입력해주세요.");
+      return;
+    }
+
+    updateParticipantSettings(group.chat_id, ctx.from, {
+      nickname: nickname || null,
+    });
+
+    await ctx.reply(
+      nickname
+        ? `✅ 별명이 "${nickname}"(으)로 설정되었습니다.`
+        : "✅ 별명을 삭제했습니다. 텔레그램 이름으로 표시됩니다.\n\n💡 설정: /nickname [별명]"
+    );
+    logInfo(`/nickname 명령어 실행: 사용자 ${ctx.from.username || ctx.from.id}`);
+  } catch (error) {
+    logError("/nickname 명령어 실패", error);
+    await ctx.reply("오류가 발생했습니다.");
+  }
+});
+
+/**
+ * /hideme - 순위에서 내 이름 숨기기 (완독률에는 계속 반영)
+ */
+bot.command("hideme", async (ctx) => {
+  try {
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    updateParticipantSettings(group.chat_id, ctx.from, { hidden: 1 });
+
+    await ctx.reply(
+      "🙈 이제 순위에 이름이 표시되지 않습니다.\n" +
+        "완독 기록은 계속 저장되고 완독률에도 반영됩니다.\n\n" +
+        "💡 다시 표시하려면 /showme"
+    );
+    logInfo(`/hideme 명령어 실행: 사용자 ${ctx.from.username || ctx.from.id}`);
+  } catch (error) {
+    logError("/hideme 명령어 실패", error);
+    await ctx.reply("오류가 발생했습니다.");
+  }
+});
+
+/**
+ * /showme - 순위에 내 이름 다시 표시
+ */
+bot.command("showme", async (ctx) => {
+  try {
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    updateParticipantSettings(group.chat_id, ctx.from, { hidden: 0 });
+
+    await ctx.reply("✅ 이제 순위에 이름이 표시됩니다.");
+    logInfo(`/showme 명령어 실행: 사용자 ${ctx.from.username || ctx.from.id}`);
+  } catch (error) {
+    logError("/showme 명령어 실패", error);
+    await ctx.reply("오류가 발생했습니다.");
+  }
+});
+
+/**
+ * /usegroup - 개인 대화에서 조회할 그룹 선택
+ */
+bot.command("usegroup", async (ctx) => {
+  try {
+    const args = ctx.message.text.split(" ").slice(1);
+    const chatId = args[0] ? Number(args[0]) : NaN;
+    const groups = getActiveGroups();
+
+    if (isNaN(chatId)) {
+      await ctx.reply(
+        "사용법: /usegroup [Chat ID]\n\n" +
+          (groups.length > 0
+            ? groups
+                .map((group) => `${group.chat_id} - ${formatGroupName(group)}`)
+                .join("\n")
+            : "등록된 통독 그룹이 없습니다.")
+      );
+      return;
+    }
+
+    const group = groups.find((g) => g.chat_id === chatId);
+    if (!group) {
+      await ctx.reply("❌ 해당 Chat ID의 통독 그룹이 없습니다.");
+      return;
+    }
+
+    selectedGroups.set(ctx.from.id, group.chat_id);
+    await ctx.reply(`✅ ${formatGroupName(group)} 그룹을 선택했습니다.`);
+    logInfo(
+      `/usegroup 명령어 실행: 사용자 ${ctx.from.username || ctx.from.id}, 그룹 ${chatId}`
+    );
+  } catch (error) {
+    logError("/usegroup 명령어 실패", error);
+    await ctx.reply("오류가 발생했습니다.");
+  }
+});
+
+// ==================== 관리자 명령어 ====================
+
+/**
+ * /groups - 통독 그룹 목록 (관리자 전용)
+ */
+bot.command("groups", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
+
+    const groups = getAllGroups();
+
+    if (groups.length === 0) {
+      await ctx.reply(
+        "등록된 통독 그룹이 없습니다.\n그룹 대화에서 /addgroup 으로 등록해주세요."
+      );
+      return;
+    }
+
+    const totalCount = await getTotalImageCount();
+    let message = `👥 통독 그룹 목록 (${groups.length}개)\n\n`;
+
+    groups.forEach((group) => {
+      message += `${group.active ? "✅" : "⏸️"} ${formatGroupName(group)}\n`;
+      message += `   Chat ID: ${group.chat_id}\n`;
+      message += `   전송 시간: ${group.send_time}\n`;
+      message += `   시작일: ${group.start_date || "즉시 시작"}\n`;
+      message += `   진행: ${getCurrentIndex(group.chat_id)} / ${totalCount}\n\n`;
+    });
+
+    await ctx.reply(message);
+    logInfo(`/groups 명령어 실행: 관리자 ${ctx.from.username || ctx.from.id}`);
+  } catch (error) {
+    logError("/groups 명령어 실패", error);
+    await ctx.reply("오류가 발생했습니다.");
+  }
+});
+
+/**
+ * /addgroup - 현재 그룹을 통독 그룹으로 등록 (관리자 전용)
+ */
+bot.command("addgroup", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
+
+    if (ctx.chat.type === "private") {
+      await ctx.reply("통독 그룹으로 등록할 그룹 대화에서 실행해주세요.");
+      return;
+    }
+
+    const title =
+      ctx.message.text.split(" ").slice(1).join(" ").trim() ||
+      ctx.chat.title ||
+      null;
+    const existing = getGroup(ctx.chat.id);
+
+    if (existing && existing.active) {
+      await ctx.reply(`이미 등록된 통독 그룹입니다: ${formatGroupName(existing)}`);
+      return;
+    }
+
+    let group;
+    if (existing) {
+      updateGroup(ctx.chat.id, { title, active: 1 });
+      group = getGroup(ctx.chat.id);
+    } else {
+      group = createGroup(ctx.chat.id, title);
+    }
+
+    auditCommand(ctx, group.chat_id, {
+      before: existing ? { title: existing.title, active: existing.active } : null,
+      after: { title: group.title, active: group.active },
+    });
+
+    restartAllSchedules();
+
+    await ctx.reply(
+      `✅ 통독 그룹으로 ${existing ? "다시 " : ""}등록되었습니다.\n\n` +
+        `이름: ${formatGroupName(group)}\n` +
+        `Chat ID: ${group.chat_id}\n` +
+        `전송 시간: ${group.send_time} (${formatReadingDays()})\n` +
+        `시작일: ${group.start_date || "즉시 시작"}\n` +
+        `시작 인덱스: ${group.start_index || 0}\n\n` +
+        `💡 /setstart 로 이 그룹의 시작일, 전송 시간, 인덱스를 변경할 수 있습니다.`
+    );
+    logInfo(
+      `/addgroup 명령어 실행: 관리자 ${ctx.from.username || ctx.from.id}, 그룹 ${group.chat_id}`
+    );
+  } catch (error) {
+    logError("/addgroup 명령어 실패", error);
+    await ctx.reply("❌ 그룹 등록 중 오류가 발생했습니다.");
+  }
+});
+
+/**
+ * /removegroup - 현재 그룹의 통독 중지 (관리자 전용, 데이터는 보존)
+ */
+bot.command("removegroup", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
+
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    updateGroup(group.chat_id, { active: 0 });
+    auditCommand(ctx, group.chat_id, { before: { active: 1 }, after: { active: 0 } });
+    selectedGroups.forEach((chatId, userId) => {
+      if (chatId === group.chat_id) {
+        selectedGroups.delete(userId);
+      }
+    });
+
+    restartAllSchedules();
+
+    await ctx.reply(
+      `✅ ${formatGroupName(group)} 그룹의 통독을 중지했습니다.\n\n` +
+        `💡 완독 기록과 통계는 보존되며, /addgroup 으로 다시 등록할 수 있습니다.`
+    );
+    logInfo(
+      `/removegroup 명령어 실행: 관리자 ${ctx.from.username || ctx.from.id}, 그룹 ${group.chat_id}`
+    );
+  } catch (error) {
+    logError("/removegroup 명령어 실패", error);
+    await ctx.reply("❌ 그룹 중지 중 오류가 발생했습니다.");
+  }
+});
+
+/**
+ * /reset - 새 통독 세션 시작 (관리자 전용)
+ */
+bot.command("reset", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
+
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const args = ctx.message.text.split(" ").slice(1);
+    const newIndex = args[0] ? parseInt(args[0]) : 0;
+    const name = args.slice(1).join(" ").trim() || null;
+
+    if (isNaN(newIndex) || newIndex < 0) {
+      await ctx.reply(
+        "올바른 인덱스를 입력해주세요.\n예: /reset 0\n예: /reset 0 2027년 1독"
+      );
+      return;
+    }
+
+    const previousSession = getCurrentSession(group.chat_id);
+    const sessionId = startSession(group.chat_id, {
+      name,
+      startDate: group.start_date,
+      startIndex: newIndex,
+    });
+    const session = getCurrentSession(group.chat_id);
+
+    auditCommand(ctx, group.chat_id, {
+      before: previousSession
+        ? { sessionId: previousSession.id, currentIndex: previousSession.current_index }
+        : null,
+      after: { sessionId, name: session.name, currentIndex: newIndex },
+    });
+
+    await ctx.reply(
+      `✅ 새 통독 세션을 시작했습니다: ${session.name}\n\n` +
+        `시작 인덱스: ${newIndex}\n` +
+        `시작일: ${session.start_date}\n\n` +
+        `💡 이전 세션의 완독 기록과 통계는 보존됩니다.`
+    );
+    logInfo(
+      `/reset 명령어 실행: 관리자 ${
+        ctx.from.username || ctx.from.id
+      }, 그룹 ${group.chat_id}, 세션 ${sessionId}, 인덱스 ${newIndex}`
+    );
+  } catch (error) {
+    logError("/reset 명령어 실패", error);
+    await ctx.reply("오류가 발생했습니다.");
+  }
+});
+
+/**
+ * /hardreset - 모든 데이터 완전 초기화 (관리자 전용)
+ * 주의: 모든 완독 기록과 통계가 삭제됩니다!
+ */
+bot.command("hardreset", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
+
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const args = ctx.message.text.split(" ").slice(1);
+
+    // 확인 단계: "CONFIRM"을 입력해야 실행
+    if (args[0] !== "CONFIRM") {
+      await ctx.reply(
+        `⚠️  경고: 전체 데이터 초기화 - ${formatGroupName(group)}\n\n` +
+          `이 명령어는 이 그룹의 다음 데이터를 모두 삭제합니다:\n` +
+          `• 모든 완독 기록\n` +
+          `• 일일 통계\n` +
+          `• 월간 통계\n` +
+          `• 전체 통독 통계\n` +
+          `• 모든 통독 세션\n\n` +
+          `정말로 실행하시려면:\n` +
+          `/hardreset CONFIRM [인덱스]\n\n` +
+          `예: /hardreset CONFIRM 0`
+      );
+      return;
+    }
+
+    const newIndex = args[1] ? parseInt(args[1]) : 0;
+
+    if (isNaN(newIndex) || newIndex < 0) {
+      await ctx.reply(
+        "올바른 인덱스를 입력해주세요.\n예: /hardreset CONFIRM 0"
+      );
+      return;
+    }
+
+    // 전체 데이터 초기화 실행 (삭제한 행 수는 관리자 작업 기록에 저장됨)
+    const deleted = hardResetAllData(group.chat_id, ctx.from, newIndex);
+
+    if (deleted) {
+      await ctx.reply(
+        `✅ 전체 데이터가 완전히 초기화되었습니다.\n\n` +
+          `시작 인덱스: ${newIndex}\n` +
+          `삭제된 기록: 완독 ${deleted.completions}건, 일일 통계 ${deleted.daily_stats}건, ` +
+          `월간 통계 ${deleted.monthly_stats}건, 전체 통계 ${deleted.overall_stats}건, ` +
+          `전송 기록 ${deleted.send_log}건, 말씀 사진 기록 ${deleted.reading_posts}건, ` +
+          `세션 ${deleted.sessions}개, 취소된 예약 작업 ${deleted.jobs}건\n\n` +
+          `💡 /audit 로 초기화 기록을 확인할 수 있습니다.`
+      );
+      logInfo(
+        `/hardreset 명령어 실행: 관리자 ${
+          ctx.from.username || ctx.from.id
+        }, 그룹 ${group.chat_id}, 인덱스 ${newIndex}`
+      );
+    } else {
+      await ctx.reply("❌ 데이터 초기화 중 오류가 발생했습니다.");
+    }
+  } catch (error) {
+    logError("/hardreset 명령어 실패", error);
+    await ctx.reply("❌ 오류가 발생했습니다.");
+  }
+});
+
+/**
+ * /skip - 현재 인덱스 건너뛰기 (관리자 전용)
+ */
+bot.command("skip", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
+
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const currentIndex = getCurrentIndex(group.chat_id);
+    const newIndex = currentIndex + 1;
+
+    // 건너뛴 구절은 완독하지 않은 구절 목록(/missing)에서 제외
+    updateProgress(group.chat_id, newIndex);
+    recordSendLog(
+      group.chat_id,
+      getTodayDate(),
+      newIndex,
+      "skipped",
+      `관리자 건너뛰기 (${ctx.from.username || ctx.from.id})`
+    );
+    auditCommand(ctx, group.chat_id, {
+      before: { currentIndex },
+      after: { currentIndex: newIndex },
+    });
+    await ctx.reply(
+      `✅ ${newIndex}번 구절을 건너뛰었습니다. 다음 전송: ${newIndex + 1}번`
+    );
+    logInfo(`/skip 명령어 실행: 관리자 ${ctx.from.username || ctx.from.id}`);
+  } catch (error) {
+    logError("/skip 명령어 실패", error);
+    await ctx.reply("오류가 발생했습니다.");
+  }
+});
+
+/**
+ * /setstart - 시작일, 전송 시간, 시작 인덱스 설정 (관리자 전용)
+ */
+bot.command("setstart", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
+
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const args = ctx.message.text.split(" ").slice(1);
+
+    if (args.length === 0) {
+      await ctx.reply(
+        "사용법:\n" +
+          "/setstart [날짜] [시간] [인덱스]\n\n" +
+          "예시:\n" +
+          "/setstart 2026-02-10 05:00 1  - 2026년 2월 10일 오전 5시부터 1번 구절부터\n" +
+          "/setstart 2026-02-10 05:00    - 2026년 2월 10일 오전 5시부터 (현재 인덱스 유지)\n" +
+          "/setstart 2026-02-10          - 2026년 2월 10일부터 (현재 시간, 인덱스 유지)\n" +
+          "/setstart null 08:00 50       - 즉시 시작, 오전 8시 전송, 50번 구절부터\n" +
+          "/setstart null 08:00          - 시간만 변경 (즉시 시작)\n\n" +
+          `현재 설정 (${formatGroupName(group)}):\n` +
+          `- 시작일: ${group.start_date || "즉시 시작"}\n` +
+          `- 전송 시간: ${group.send_time}\n` +
+          `- 인덱스: ${group.start_index || 0}`
+      );
+      return;
+    }
+
+    let startDate = args[0];
+    let sendTime = args[1];
+    let startIndex = args[2] ? parseInt(args[2]) : undefined;
+
+    // 날짜 검증
+    if (startDate === "null") {
+      startDate = null;
+    } else if (startDate) {
+      // YYYY-MM-DD 형식 검증
+      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+      if (!dateRegex.test(startDate)) {
+        await ctx.reply(
+          "❌ 날짜 형식이 올바르지 않습니다. YYYY-MM-DD 형식으로 입력해주세요.\n예: 2026-02-10"
+        );
+        return;
+      }
+
+      // 유효한 날짜인지 확인
+      const date = new Date(startDate);
+      if (isNaN(date.getTime())) {
+        await ctx.reply("❌ 유효하지 않은 날짜입니다.");
+        return;
+      }
+    }
+
+    // 시간 검증
+    if (sendTime && sendTime !== "null") {
+      const timeRegex = /^([0-1][0-9]|2[0-3]):([0-5][0-9])$/;
+      if (!timeRegex.test(sendTime)) {
+        await ctx.reply(
+          "❌ 시간 형식이 올바르지 않습니다. HH:MM 형식으로 입력해주세요.\n예: 05:00, 08:30"
+        );
+        return;
+      }
+    } else if (sendTime === "null") {
+      sendTime = undefined;
+    }
+
+    // 인덱스 검증
+    if (args[2] === "null") {
+      startIndex = undefined;
+    } else if (startIndex !== undefined) {
+      if (isNaN(startIndex) || startIndex < 0) {
+        await ctx.reply("❌ 시작 인덱스는 0 이상의 숫자여야 합니다.");
+        return;
+      }
+    }
+
+    // 그룹 설정 업데이트
+    const updates = {};
+    if (startDate !== undefined) {
+      updates.start_date = startDate;
+    }
+    if (startIndex !== undefined) {
+      updates.start_index = startIndex;
+    }
+    if (sendTime) {
+      updates.send_time = sendTime;
+    }
+
+    updateGroup(group.chat_id, updates);
+    auditCommand(ctx, group.chat_id, {
+      before: Object.fromEntries(Object.keys(updates).map((key) => [key, group[key]])),
+      after: updates,
+    });
+
+    // 시작 인덱스가 설정되었으면 새로운 세션 생성
     if (startIndex !== undefined) {
-      const newSessionId = resetProgress(startIndex);
+      const newSessionId = startSession(group.chat_id, {
+        startDate: startDate !== undefined ? startDate : group.start_date,
+        startIndex,
+      });
       logInfo(`새로운 통독 세션 생성: ID ${newSessionId}, 인덱스 ${startIndex}`);
+    } else if (startDate !== undefined) {
+      // 아직 전송 전인 세션은 시작일을 함께 변경
+      const session = getCurrentSession(group.chat_id);
+      if (session && !session.last_sent_date && session.status !== "completed") {
+        const today = getTodayDate();
+        const scheduled = !!startDate && startDate > today;
+        updateSession(session.id, {
+          start_date: scheduled ? startDate : today,
+          status: scheduled ? "scheduled" : "active",
+        });
+      }
+    }
+
+    // 시간이 변경되었으면 스케줄러 재시작
+    let needsRestart = false;
+    if (sendTime) {
+      needsRestart = true;
+    }
+
+    let message = `✅ ${formatGroupName(group)} 설정이 업데이트되었습니다.\n\n`;
+    if (startDate !== undefined) {
+      message += `시작일: ${startDate || "즉시 시작"}\n`;
+    }
+    if (sendTime) {
+      message += `전송 시간: ${sendTime} (${formatReadingDays()})\n`;
+    }
+    if (startIndex !== undefined) {
+      message += `시작 인덱스: ${startIndex}\n`;
+      message += `데이터베이스도 업데이트되었습니다.\n`;
+    }
+
+    if (needsRestart) {
+      message += "\n⏳ 스케줄러를 재시작하는 중...";
+      await ctx.reply(message);
+
+      restartAllSchedules();
+
+      await ctx.reply(
+        "✅ 스케줄러가 재시작되어 변경사항이 즉시 적용되었습니다."
+      );
+    } else {
+      message += "\n변경사항은 다음 스케줄부터 적용됩니다.";
+      await ctx.reply(message);
+    }
+
+    logInfo(
+      `/setstart 명령어 실행: 관리자 ${
+        ctx.from.username || ctx.from.id
+      }, 그룹 ${group.chat_id}, 날짜=${startDate}, 시간=${sendTime}, 인덱스=${startIndex}`
+    );
+  } catch (error) {
+    logError("/setstart 명령어 실패", error);
+    await ctx.reply("❌ 설정 업데이트 중 오류가 발생했습니다.");
+  }
+});
+
+/**
+ * /excludedays - 쉬는 요일 조회 및 설정 (관리자 전용)
+ */
+bot.command("excludedays", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
+
+    const args = ctx.message.text.split(" ").slice(1).filter(Boolean);
+    const currentDays = config.excludeDays || [];
+
+    if (args.length === 0) {
+      const currentNames =
+        currentDays.length > 0
+          ? currentDays.map((day) => getWeekdayName(day)).join(", ")
+          : "없음";
+
+      await ctx.reply(
+        "사용법:\n" +
+          "/excludedays [요일...]\n\n" +
+          "예시:\n" +
+          "/excludedays 0       - 일요일 제외\n" +
+          "/excludedays 일 토   - 토, 일요일 제외\n" +
+          "/excludedays none    - 제외 요일 없음 (매일 전송)\n\n" +
+          `현재 설정:\n` +
+          `- 제외 요일: ${currentNames}\n` +
+          `- 통독 요일: ${formatReadingDays()}`
+      );
+      return;
+    }
+
+    let excludeDays = [];
+
+    if (args[0] !== "none") {
+      const parsed = args.map((arg) => parseWeekday(arg));
+
+      if (parsed.some((day) => day < 0)) {
+        await ctx.reply(
+          "❌ 요일 형식이 올바르지 않습니다. 0-6 숫자 또는 일~토로 입력해주세요.\n예: /excludedays 0 6"
+        );
+        return;
+      }
+
+      excludeDays = [...new Set(parsed)].sort((a, b) => a - b);
+    }
+
+    if (excludeDays.length === 7) {
+      await ctx.reply("❌ 모든 요일을 제외할 수는 없습니다.");
+      return;
+    }
+
+    await updateConfig({ excludeDays });
+    auditCommand(ctx, null, { before: currentDays, after: excludeDays });
+
+    await ctx.reply(
+      `✅ 쉬는 요일이 업데이트되었습니다.\n\n` +
+        `통독 요일: ${formatReadingDays()}\n\n` +
+        `⏳ 스케줄러를 재시작하는 중...`
+    );
+
+    restartAllSchedules();
+
+    await ctx.reply(
+      "✅ 스케줄러가 재시작되어 변경사항이 즉시 적용되었습니다."
+    );
+
+    logInfo(
+      `/excludedays 명령어 실행: 관리자 ${
+        ctx.from.username || ctx.from.id
+      }, 제외 요일=${JSON.stringify(excludeDays)}`
+    );
+  } catch (error) {
+    logError("/excludedays 명령어 실패", error);
+    await ctx.reply("❌ 설정 업데이트 중 오류가 발생했습니다.");
+  }
+});
+
+/**
+ * 휴독일 명령어의 날짜 범위 파싱 (시작일 [종료일])
+ * 종료일 자리에 날짜처럼 보이지만 올바르지 않은 값(예: 2026-13-01)이 있으면 사유로 보지 않고 형식 오류로 처리합니다.
+ * @returns {Object|null} { dates, rest, tooLong } 형식의 객체 (형식 오류 시 null,
+ *                        기간이 MAX_REST_RANGE_DAYS일을 넘으면 tooLong이 true이고 dates는 앞부분만 포함)
+ */
+function parseRestDayRange(args) {
+  const startDate = args[0];
+  if (!isValidDateString(startDate)) {
+    return null;
+  }
+
+  let endDate = startDate;
+  let rest = args.slice(1);
+  if (args[1] && DATE_LIKE_PATTERN.test(args[1])) {
+    if (!isValidDateString(args[1])) {
+      return null;
+    }
+    endDate = args[1];
+    rest = args.slice(2);
+  }
+
+  if (endDate < startDate) {
+    return null;
+  }
+
+  const dates = [];
+  for (
+    let date = startDate;
+    date <= endDate && dates.length < MAX_REST_RANGE_DAYS;
+    date = addDays(date, 1)
+  ) {
+    dates.push(date);
+  }
+
+  return { dates, rest, tooLong: dates[dates.length - 1] < endDate };
+}
+
+/**
+ * /addrest - 그룹 휴독일 추가 (관리자 전용)
+ */
+bot.command("addrest", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
+
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const args = ctx.message.text.split(" ").slice(1).filter(Boolean);
+    const range = args.length > 0 ? parseRestDayRange(args) : null;
+
+    if (!range) {
+      await ctx.reply(
+        "사용법:\n" +
+          "/addrest [날짜] [종료일] [사유]\n\n" +
+          "예시:\n" +
+          "/addrest 2026-12-25 성탄절\n" +
+          "/addrest 2026-03-30 2026-04-05 고난주간"
+      );
+      return;
+    }
+
+    if (range.tooLong) {
+      await ctx.reply(
+        `❌ 한 번에 최대 ${MAX_REST_RANGE_DAYS}일까지 등록할 수 있습니다.`
+      );
+      return;
+    }
+
+    const reason = range.rest.join(" ") || null;
+    const added = range.dates.filter((date) => addRestDay(group.chat_id, date, reason));
+    auditCommand(ctx, group.chat_id, { after: { dates: added, reason } });
+    const first = range.dates[0];
+    const last = range.dates[range.dates.length - 1];
+
+    await ctx.reply(
+      `✅ ${formatGroupName(group)}의 휴독일이 등록되었습니다.\n\n` +
+        `기간: ${first === last ? first : `${first} ~ ${last}`} (${added.length}일)\n` +
+        `사유: ${reason || "없음"}\n\n` +
+        `💡 해당 날짜에는 이 그룹의 말씀 전송과 완독률 보고를 쉽니다.`
+    );
+    logInfo(
+      `/addrest 명령어 실행: 관리자 ${
+        ctx.from.username || ctx.from.id
+      }, 그룹 ${group.chat_id}, ${first}~${last}, 사유=${reason}`
+    );
+  } catch (error) {
+    logError("/addrest 명령어 실패", error);
+    await ctx.reply("❌ 휴독일 등록 중 오류가 발생했습니다.");
+  }
+});
+
+/**
+ * /removerest - 그룹 휴독일 삭제 (관리자 전용)
+ */
+bot.command("removerest", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
+
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const args = ctx.message.text.split(" ").slice(1).filter(Boolean);
+    const range = args.length > 0 ? parseRestDayRange(args) : null;
+
+    if (!range) {
+      await ctx.reply(
+        "사용법:\n" +
+          "/removerest [날짜] [종료일]\n\n" +
+          "예시:\n" +
+          "/removerest 2026-12-25\n" +
+          "/removerest 2026-03-30 2026-04-05"
+      );
+      return;
+    }
+
+    if (range.tooLong) {
+      await ctx.reply(
+        `❌ 한 번에 최대 ${MAX_REST_RANGE_DAYS}일까지 삭제할 수 있습니다.`
+      );
+      return;
+    }
+
+    const removed = range.dates.filter((date) => removeRestDay(group.chat_id, date));
+
+    if (removed.length === 0) {
+      await ctx.reply("해당 기간에 등록된 휴독일이 없습니다.");
+      return;
+    }
+
+    auditCommand(ctx, group.chat_id, { before: { dates: removed } });
+
+    await ctx.reply(
+      `✅ ${formatGroupName(group)}의 휴독일 ${removed.length}일이 삭제되었습니다.\n\n` +
+        removed.join("\n")
+    );
+    logInfo(
+      `/removerest 명령어 실행: 관리자 ${
+        ctx.from.username || ctx.from.id
+      }, 그룹 ${group.chat_id}, ${removed.join(", ")}`
+    );
+  } catch (error) {
+    logError("/removerest 명령어 실패", error);
+    await ctx.reply("❌ 휴독일 삭제 중 오류가 발생했습니다.");
+  }
+});
+
+/**
+ * /restdays - 그룹의 예정된 휴독일 목록 (관리자 전용)
+ */
+bot.command("restdays", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
+
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const restDays = getRestDays(group.chat_id, getTodayDate());
+
+    if (restDays.length === 0) {
+      await ctx.reply("예정된 휴독일이 없습니다.");
+      return;
+    }
+
+    let message =
+      `🛌 ${formatGroupName(group)}의 예정된 휴독일 (${restDays.length}일)\n\n`;
+    restDays.forEach((restDay) => {
+      message += `${restDay.date}${restDay.reason ? ` - ${restDay.reason}` : ""}\n`;
+    });
+    message += `\n통독 요일: ${formatReadingDays()}`;
+
+    await ctx.reply(message);
+    logInfo(`/restdays 명령어 실행: 관리자 ${ctx.from.username || ctx.from.id}`);
+  } catch (error) {
+    logError("/restdays 명령어 실패", error);
+    await ctx.reply("❌ 휴독일 조회 중 오류가 발생했습니다.");
+  }
+});
+
+/**
+ * /send - 특정 인덱스의 사진 즉시 전송 (관리자 전용)
+ */
+bot.command("send", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
+
+    const args = ctx.message.text.split(" ").slice(1);
+    const index = args[0] ? parseInt(args[0]) : null;
+
+    if (!index || isNaN(index)) {
+      await ctx.reply("인덱스를 입력해주세요.\n예: /send 1");
+      return;
     }
 
-    // 시간이 변경되었으면 스케줄러 재시작
-    let needsRestart = false;
-    if (sendTime) {
-      needsRestart = true;
+    // 인덱스 검증
+    const validation = await validateIndex(index);
+    if (!validation.valid) {
+      await ctx.reply(`❌ ${validation.message}`);
+      return;
     }
 
-    let message = "✅ 설정이 업데이트되었습니다.\n\n";
-    if (startDate !== undefined) {
-      message += `시작일: ${startDate || "즉시 시작"}\n`;
+    await ctx.reply(`⏳ 인덱스 ${index} 이미지를 전송 중...`);
+
+    const imageData = await getImageByIndex(index);
+
+    if (!imageData) {
+      await ctx.reply(`❌ 인덱스 ${index}의 이미지를 찾을 수 없습니다.`);
+      return;
     }
-    if (sendTime) {
-      message += `전송 시간: ${sendTime} (월-토요일)\n`;
+
+    // 사진 전송 (여러 장이면 앨범, 저장된 file_id가 있으면 다운로드 없이 전송)
+    await sendReadingImages(
+      ctx.chat.id,
+      imageData.files,
+      `📖 테스트 전송: ${index}번 구절${imageData.title ? `\n${imageData.title}` : ""}`
+    );
+    auditCommand(ctx, ctx.chat.type !== "private" ? ctx.chat.id : null, {
+      details: { index, key: imageData.key },
+    });
+
+    logInfo(
+      `/send 명령어 실행: 관리자 ${
+        ctx.from.username || ctx.from.id
+      }, 인덱스 ${index}`
+    );
+  } catch (error) {
+    logError("/send 명령어 실패", error);
+    await ctx.reply("오류가 발생했습니다.");
+  }
+});
+
+// 전송 기록 상태 표시
+const SEND_LOG_STATUS_LABELS = {
+  sent: "✅ 전송",
+  late: "⏰ 늦은 전송",
+  skipped: "⏭️ 건너뜀",
+  postponed: "⏸️ 미룸",
+  failed: "❌ 실패",
+  retry_scheduled: "🔁 재시도 예약",
+  gave_up: "🚫 재시도 포기",
+};
+
+/**
+ * /sendlog - 최근 전송 기록 조회 (관리자 전용)
+ */
+bot.command("sendlog", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
     }
-    if (startIndex !== undefined) {
-      message += `시작 인덱스: ${startIndex}\n`;
-      message += `데이터베이스도 업데이트되었습니다.\n`;
+
+    const args = ctx.message.text.split(" ").slice(1);
+    const limit = args[0] ? parseInt(args[0]) : 10;
+
+    if (isNaN(limit) || limit < 1 || limit > 50) {
+      await ctx.reply("1에서 50 사이의 개수를 입력해주세요.\n예: /sendlog 20");
+      return;
+    }
+
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const logs = getRecentSendLogs(group.chat_id, limit);
+
+    if (logs.length === 0) {
+      await ctx.reply("아직 전송 기록이 없습니다.");
+      return;
+    }
+
+    let message = `📜 최근 전송 기록 - ${formatGroupName(group)} (${logs.length}건)\n\n`;
+    logs.forEach((log) => {
+      const label = SEND_LOG_STATUS_LABELS[log.status] || log.status;
+      message += `${log.date} ${label}`;
+      if (log.reading_index) {
+        message += ` #${log.reading_index}`;
+      }
+      if (log.detail) {
+        message += ` - ${log.detail}`;
+      }
+      message += `\n`;
+    });
+
+    await ctx.reply(message);
+    logInfo(`/sendlog 명령어 실행: 관리자 ${ctx.from.username || ctx.from.id}`);
+  } catch (error) {
+    logError("/sendlog 명령어 실패", error);
+    await ctx.reply("❌ 전송 기록 조회 중 오류가 발생했습니다.");
+  }
+});
+
+/**
+ * 관리자 작업 기록의 JSON 값 표시 (너무 길면 생략)
+ */
+function formatAuditValue(value) {
+  if (value === null) {
+    return "없음";
+  }
+  return value.length > MAX_AUDIT_VALUE_LENGTH
+    ? `${value.slice(0, MAX_AUDIT_VALUE_LENGTH)}…`
+    : value;
+}
+
+/**
+ * /audit - 최근 관리자 작업 기록 조회 (관리자 전용)
+ */
+bot.command("audit", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
+
+    const args = ctx.message.text.split(" ").slice(1);
+    const limit = args[0] ? parseInt(args[0]) : 10;
+
+    if (isNaN(limit) || limit < 1 || limit > 50) {
+      await ctx.reply("1에서 50 사이의 개수를 입력해주세요.\n예: /audit 20");
+      return;
+    }
+
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const logs = getRecentAuditLogs(group.chat_id, limit);
+
+    if (logs.length === 0) {
+      await ctx.reply("아직 관리자 작업 기록이 없습니다.");
+      return;
+    }
+
+    let message = `🧾 관리자 작업 기록 - ${formatGroupName(group)} (${logs.length}건)\n\n`;
+    logs.forEach((log) => {
+      // created_at은 UTC로 저장됨
+      const createdAt = new Date(`${log.created_at.replace(" ", "T")}Z`).toLocaleString(
+        "ko-KR",
+        { timeZone: config.timezone }
+      );
+      message += `${createdAt} ${log.admin_name || log.admin_id}: /${log.action}`;
+      if (log.args) {
+        message += ` ${log.args}`;
+      }
+      if (log.chat_id === null) {
+        message += " (전체 설정)";
+      }
+      message += `\n`;
+      if (log.target_user_id) {
+        message += `   대상: ${log.target_user_id}\n`;
+      }
+      if (log.before_value !== null || log.after_value !== null) {
+        message += `   변경: ${formatAuditValue(log.before_value)} → ${formatAuditValue(log.after_value)}\n`;
+      }
+      if (log.details) {
+        message += `   내용: ${formatAuditValue(log.details)}\n`;
+      }
+    });
+
+    await ctx.reply(message);
+    logInfo(`/audit 명령어 실행: 관리자 ${ctx.from.username || ctx.from.id}`);
+  } catch (error) {
+    logError("/audit 명령어 실패", error);
+    await ctx.reply("❌ 관리자 작업 기록 조회 중 오류가 발생했습니다.");
+  }
+});
+
+/**
+ * /catchup - 누락된 전송 확인 및 처리 (관리자 전용)
+ */
+bot.command("catchup", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
+
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    await ctx.reply("⏳ 누락된 전송을 확인하는 중...");
+
+    const result = await runCatchUp(group.chat_id);
+    auditCommand(ctx, group.chat_id, {
+      details: {
+        policy: result.policy,
+        missedDates: result.missedDates,
+        sent: result.sent,
+      },
+    });
+
+    if (result.missedDates.length === 0) {
+      await ctx.reply("✅ 누락된 전송이 없습니다.");
+    } else {
+      await ctx.reply(
+        `✅ 누락 처리 완료 (정책: ${result.policy})\n\n` +
+          `누락된 통독일: ${result.missedDates.join(", ")}\n` +
+          `늦은 전송: ${result.sent}개\n\n` +
+          `💡 자세한 내용은 /sendlog 로 확인할 수 있습니다.`
+      );
+    }
+
+    logInfo(`/catchup 명령어 실행: 관리자 ${ctx.from.username || ctx.from.id}`);
+  } catch (error) {
+    logError("/catchup 명령어 실패", error);
+    await ctx.reply("❌ 누락 처리 중 오류가 발생했습니다.");
+  }
+});
+
+/**
+ * /members - 참여자 목록과 완독률 계산 대상 (관리자 전용)
+ */
+bot.command("members", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
     }
 
-    if (needsRestart) {
-      message += "\n⏳ 스케줄러를 재시작하는 중...";
-      await ctx.reply(message);
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const participants = getParticipants(group.chat_id);
+    const bots = participants.filter((p) => p.is_bot);
+    const excluded = participants.filter((p) => !p.is_bot && p.excluded);
+    const readers = participants.filter((p) => !p.is_bot && !p.excluded);
+
+    const formatMember = (p) =>
+      `${getDisplayName(p)}${p.username ? ` (@${p.username})` : ""} - ID ${p.user_id}`;
+
+    let message = `👥 참여자 목록 - ${formatGroupName(group)}\n\n`;
+    message += `통독 참여자: ${readers.length}명\n`;
+    message += `오늘 완독률 기준: ${getEnrolledReaderCount(
+      group.chat_id,
+      getTodayDate()
+    )}명 (오늘 들어온 사람은 완독한 경우만 포함)\n\n`;
+
+    message += `🚫 완독률 제외 (${excluded.length}명)\n`;
+    message +=
+      excluded.length > 0 ? excluded.map(formatMember).join("\n") : "없음";
+    message += `\n\n🤖 봇 (${bots.length}개)\n`;
+    message += bots.length > 0 ? bots.map(formatMember).join("\n") : "없음";
+    message +=
+      `\n\n💡 메시지를 보내거나 그룹에 들어온 멤버만 참여자로 기록됩니다.\n` +
+      `/exclude, /include 로 완독률 계산 대상을 변경할 수 있습니다.`;
+
+    await ctx.reply(message);
+    logInfo(`/members 명령어 실행: 관리자 ${ctx.from.username || ctx.from.id}`);
+  } catch (error) {
+    logError("/members 명령어 실패", error);
+    await ctx.reply("오류가 발생했습니다.");
+  }
+});
+
+/**
+ * /exclude - 완독률 계산에서 참여자 제외 (관리자 전용)
+ */
+bot.command("exclude", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
+
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const args = ctx.message.text.split(" ").slice(1);
+    const participant = await resolveTargetUser(ctx, group, args[0]);
+    if (!participant) return;
+
+    updateParticipantSettings(group.chat_id, { id: participant.user_id }, {
+      excluded: 1,
+    });
+    auditCommand(ctx, group.chat_id, {
+      targetUserId: participant.user_id,
+      before: { excluded: participant.excluded },
+      after: { excluded: 1 },
+    });
+
+    await ctx.reply(
+      `✅ ${getDisplayName(participant)}님을 완독률 계산에서 제외했습니다.\n\n` +
+        `💡 다시 포함하려면 /include ${participant.user_id}`
+    );
+    logInfo(
+      `/exclude 명령어 실행: 관리자 ${ctx.from.username || ctx.from.id}, 그룹 ${group.chat_id}, 사용자 ${participant.user_id}`
+    );
+  } catch (error) {
+    logError("/exclude 명령어 실패", error);
+    await ctx.reply("오류가 발생했습니다.");
+  }
+});
+
+/**
+ * /include - 제외했던 참여자를 완독률 계산에 다시 포함 (관리자 전용)
+ */
+bot.command("include", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
+
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const args = ctx.message.text.split(" ").slice(1);
+    const participant = await resolveTargetUser(ctx, group, args[0]);
+    if (!participant) return;
+
+    if (participant.is_bot) {
+      await ctx.reply("❌ 봇은 완독률 계산에 포함할 수 없습니다.");
+      return;
+    }
+
+    updateParticipantSettings(group.chat_id, { id: participant.user_id }, {
+      excluded: 0,
+    });
+    auditCommand(ctx, group.chat_id, {
+      targetUserId: participant.user_id,
+      before: { excluded: participant.excluded },
+      after: { excluded: 0 },
+    });
+
+    await ctx.reply(
+      `✅ ${getDisplayName(participant)}님을 완독률 계산에 다시 포함했습니다.`
+    );
+    logInfo(
+      `/include 명령어 실행: 관리자 ${ctx.from.username || ctx.from.id}, 그룹 ${group.chat_id}, 사용자 ${participant.user_id}`
+    );
+  } catch (error) {
+    logError("/include 명령어 실패", error);
+    await ctx.reply("오류가 발생했습니다.");
+  }
+});
+
+// ==================== 완독 기록 수정 ====================
+
+/**
+ * 완독 기록 수정 명령어의 대상 참여자와 나머지 인자 결정
+ * 메시지에 답장하며 입력하면 첫 인자부터, 아니면 대상(@사용자명 또는 사용자 ID) 다음 인자부터 나머지 인자입니다.
+ * @returns {Promise<Object|null>} { participant, args } (대상을 찾을 수 없으면 null)
+ */
+async function resolveCompletionTarget(ctx, group) {
+  const args = ctx.message.text.split(" ").slice(1).filter(Boolean);
+  const replyTo = ctx.message.reply_to_message;
+  const byReply = Boolean(replyTo && replyTo.from && ctx.chat.id === group.chat_id);
+
+  const participant = await resolveTargetUser(ctx, group, args[0]);
+  if (!participant) {
+    return null;
+  }
+  return { participant, args: byReply ? args : args.slice(1) };
+}
+
+/**
+ * 관리자가 지정한 완독 날짜 또는 구절 번호 해석 (현재 세션 기준)
+ * - 생략: 오늘
+ * - YYYY-MM-DD: 해당 날짜 (그날 전송된 구절)
+ * - 숫자: 해당 구절이 전송된 날짜
+ * @returns {Object} { date, readingIndex } 또는 해석할 수 없으면 { error }
+ */
+function resolveAdminCompletionTarget(group, arg) {
+  const session = getCurrentSession(group.chat_id);
+  const fromDate = session ? session.start_date : null;
+  const today = getTodayDate();
+
+  if (arg && /^\d+$/.test(arg)) {
+    const readingIndex = parseInt(arg);
+    const date = getReadingSendDate(group.chat_id, readingIndex, fromDate);
+    if (!date) {
+      return { error: `현재 세션에서 ${readingIndex}번 구절을 전송한 기록이 없습니다.` };
+    }
+    return { date, readingIndex };
+  }
+
+  const date = arg || today;
+  if (!isValidDateString(date)) {
+    return { error: "날짜 형식이 올바르지 않습니다. (YYYY-MM-DD 또는 구절 번호)" };
+  }
+  if (date > today) {
+    return { error: "미래 날짜의 완독은 기록할 수 없습니다." };
+  }
+  if (fromDate && date < fromDate) {
+    return { error: "현재 통독 세션이 시작되기 전 날짜입니다." };
+  }
+
+  return { date, readingIndex: getReadingIndexForDate(group.chat_id, date, fromDate) };
+}
+
+/**
+ * 완독 기록을 바꾼 뒤 통계와 완독 버튼 갱신
+ * @param {Array<Object>} changes - 바뀐 완독 기록의 { date, reading_index } 목록
+ */
+async function refreshCompletionChanges(chatId, changes) {
+  for (const date of new Set(changes.map((change) => change.date))) {
+    refreshDailyStats(chatId, date);
+  }
+
+  const readingIndexes = new Set(
+    changes.map((change) => change.reading_index).filter((index) => index)
+  );
+  for (const readingIndex of readingIndexes) {
+    const post = getLatestReadingPost(chatId, readingIndex);
+    if (post) {
+      await updateCompletionButton(chatId, post.message_id, readingIndex);
+    }
+  }
+}
+
+/**
+ * 완독 기록 표시 (날짜, 구절, 늦은 완독, 기록 방법)
+ */
+function formatCompletionRecord(completion) {
+  const details = [COMPLETION_SOURCE_LABELS[completion.source] || completion.source];
+  if (completion.is_late) {
+    details.unshift("늦은 완독");
+  }
+  const reading = completion.reading_index ? ` · ${completion.reading_index}번 구절` : "";
+  return `${completion.date}${reading} (${details.join(", ")})`;
+}
+
+/**
+ * /addcompletion - 참여자의 완독을 대신 기록 (관리자 전용)
+ */
+bot.command("addcompletion", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
+
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const target = await resolveCompletionTarget(ctx, group);
+    if (!target) return;
+    const { participant, args } = target;
+
+    const resolved = resolveAdminCompletionTarget(group, args[0]);
+    if (resolved.error) {
+      await ctx.reply(
+        `❌ ${resolved.error}\n\n사용법: /addcompletion [@사용자명|사용자 ID] [YYYY-MM-DD|구절 번호]`
+      );
+      return;
+    }
+
+    const { date, readingIndex } = resolved;
+    const result = recordCompletion(
+      group.chat_id,
+      participant.user_id,
+      participant.username,
+      participant.first_name,
+      date,
+      { readingIndex, source: "admin" }
+    );
+
+    const targetLabel = readingIndex ? `${date} (${readingIndex}번 구절)` : date;
+    if (result === "failed") {
+      await ctx.reply("❌ 완독 기록 저장에 실패했습니다.");
+      return;
+    }
+    if (result === "duplicate") {
+      await ctx.reply(`이미 ${getDisplayName(participant)}님의 ${targetLabel} 완독 기록이 있습니다.`);
+      return;
+    }
+
+    await refreshCompletionChanges(group.chat_id, [{ date, reading_index: readingIndex }]);
+    auditCommand(ctx, group.chat_id, {
+      targetUserId: participant.user_id,
+      after: { date, readingIndex },
+    });
+
+    await ctx.reply(
+      `✅ ${getDisplayName(participant)}님의 ${targetLabel} 완독을 기록했습니다.\n\n` +
+        `💡 취소하려면 /removecompletion ${participant.user_id} ${readingIndex || date}`
+    );
+    logInfo(
+      `/addcompletion 명령어 실행: 관리자 ${ctx.from.username || ctx.from.id}, 그룹 ${group.chat_id}, 사용자 ${participant.user_id}, ${targetLabel}`
+    );
+  } catch (error) {
+    logError("/addcompletion 명령어 실패", error);
+    await ctx.reply("오류가 발생했습니다.");
+  }
+});
+
+/**
+ * /removecompletion - 참여자의 완독 기록 삭제 (관리자 전용)
+ * 날짜를 지정하면 그날의 완독 기록을 모두, 구절 번호를 지정하면 해당 구절의 완독 기록을 삭제합니다.
+ */
+bot.command("removecompletion", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
+
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const target = await resolveCompletionTarget(ctx, group);
+    if (!target) return;
+    const { participant, args } = target;
 
-      restartAllSchedules();
+    const arg = args[0];
+    let removed;
+    if (arg && /^\d+$/.test(arg)) {
+      const completion = removeCompletion(group.chat_id, participant.user_id, parseInt(arg));
+      removed = completion ? [completion] : [];
+    } else {
+      const date = arg || getTodayDate();
+      if (!isValidDateString(date)) {
+        await ctx.reply(
+          "❌ 날짜 형식이 올바르지 않습니다. (YYYY-MM-DD 또는 구절 번호)\n\n" +
+            "사용법: /removecompletion [@사용자명|사용자 ID] [YYYY-MM-DD|구절 번호]"
+        );
+        return;
+      }
+      removed = removeCompletionsByDate(group.chat_id, participant.user_id, date);
+    }
 
+    if (removed.length === 0) {
+      const targetLabel = arg && /^\d+$/.test(arg) ? `${arg}번 구절` : arg || getTodayDate();
       await ctx.reply(
-        "✅ 스케줄러가 재시작되어 변경사항이 즉시 적용되었습니다."
+        `${getDisplayName(participant)}님의 ${targetLabel} 완독 기록이 없습니다.\n` +
+          `💡 /completions ${participant.user_id} 로 기록을 확인할 수 있습니다.`
       );
-    } else {
-      message += "\n변경사항은 다음 스케줄부터 적용됩니다.";
-      await ctx.reply(message);
+      return;
     }
 
+    await refreshCompletionChanges(group.chat_id, removed);
+    auditCommand(ctx, group.chat_id, {
+      targetUserId: participant.user_id,
+      before: removed.map((completion) => ({
+        date: completion.date,
+        readingIndex: completion.reading_index,
+        source: completion.source,
+      })),
+    });
+
+    await ctx.reply(
+      `🗑️ ${getDisplayName(participant)}님의 완독 기록 ${removed.length}건을 삭제했습니다.\n\n` +
+        removed.map(formatCompletionRecord).join("\n")
+    );
     logInfo(
-      `/setstart 명령어 실행: 관리자 ${
-        ctx.from.username || ctx.from.id
-      }, 날짜=${startDate}, 시간=${sendTime}, 인덱스=${startIndex}`
+      `/removecompletion 명령어 실행: 관리자 ${ctx.from.username || ctx.from.id}, 그룹 ${group.chat_id}, 사용자 ${participant.user_id}, ${removed.length}건`
     );
   } catch (error) {
-    logError("/setstart 명령어 실패", error);
-    await ctx.reply("❌ 설정 업데이트 중 오류가 발생했습니다.");
+    logError("/removecompletion 명령어 실패", error);
+    await ctx.reply("오류가 발생했습니다.");
   }
 });
 
 /**
- * /send - 특정 인덱스의 사진 즉시 전송 (관리자 전용)
+ * /completions - 참여자의 기간별 완독 기록 조회 (관리자 전용)
  */
-bot.command("send", async (ctx) => {
+bot.command("completions", async (ctx) => {
   try {
     if (!isAdmin(ctx.from.id)) {
       await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
       return;
     }
 
-    const args = ctx.message.text.split(" ").slice(1);
-    const index = args[0] ? parseInt(args[0]) : null;
+    const group = await resolveGroup(ctx);
+    if (!group) return;
 
-    if (!index || isNaN(index)) {
-      await ctx.reply("인덱스를 입력해주세요.\n예: /send 1");
+    const target = await resolveCompletionTarget(ctx, group);
+    if (!target) return;
+    const { participant, args } = target;
+
+    const toDate = args[1] || getTodayDate();
+    const fromDate = args[0] || addDays(toDate, -(DEFAULT_COMPLETION_LIST_DAYS - 1));
+    if (!isValidDateString(fromDate) || !isValidDateString(toDate) || fromDate > toDate) {
+      await ctx.reply(
+        "❌ 기간이 올바르지 않습니다.\n\n" +
+          "사용법: /completions [@사용자명|사용자 ID] [시작일] [종료일]\n" +
+          `(기간을 생략하면 최근 ${DEFAULT_COMPLETION_LIST_DAYS}일)`
+      );
       return;
     }
 
-    // 인덱스 검증
-    const validation = await validateIndex(index);
-    if (!validation.valid) {
-      await ctx.reply(`❌ ${validation.message}`);
-      return;
+    const completions = getUserCompletions(
+      group.chat_id,
+      participant.user_id,
+      fromDate,
+      toDate
+    );
+
+    let message =
+      `📋 ${getDisplayName(participant)}님의 완독 기록 - ${formatGroupName(group)}\n` +
+      `기간: ${fromDate} ~ ${toDate} (${completions.length}건)\n\n`;
+
+    if (completions.length === 0) {
+      message += "완독 기록이 없습니다.";
+    } else {
+      message += completions
+        .slice(0, MAX_COMPLETION_LIST)
+        .map(formatCompletionRecord)
+        .join("\n");
+      if (completions.length > MAX_COMPLETION_LIST) {
+        message += `\n... 외 ${completions.length - MAX_COMPLETION_LIST}건`;
+      }
     }
 
-    await ctx.reply(`⏳ 인덱스 ${index} 이미지를 다운로드 중...`);
+    await ctx.reply(message);
+    logInfo(
+      `/completions 명령어 실행: 관리자 ${ctx.from.username || ctx.from.id}, 그룹 ${group.chat_id}, 사용자 ${participant.user_id}`
+    );
+  } catch (error) {
+    logError("/completions 명령어 실패", error);
+    await ctx.reply("오류가 발생했습니다.");
+  }
+});
 
-    // 이미지 다운로드
-    const imageData = await downloadImageByIndex(index);
+/**
+ * /testkeyword - 메시지가 완독으로 인식되는지와 그 이유 확인 (관리자 전용)
+ */
+bot.command("testkeyword", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
 
-    if (!imageData) {
-      await ctx.reply(`❌ 인덱스 ${index}의 이미지를 찾을 수 없습니다.`);
+    const text = ctx.message.text.split(" ").slice(1).join(" ").trim();
+    if (!text) {
+      await ctx.reply("확인할 메시지를 입력해주세요.\n예: /testkeyword 오늘 완독했습니다 🙏");
       return;
     }
 
-    // 사진 전송
-    await ctx.replyWithPhoto(
-      { source: imageData.buffer },
-      { caption: `📖 테스트 전송: ${index}번 구절` }
-    );
+    const match = matchCompletionKeyword(text);
+    let message =
+      `🔍 완독 키워드 테스트\n\n` +
+      `입력: ${text}\n` +
+      `정규화: ${match.normalized || "(없음)"}\n\n`;
+
+    if (match.matched) {
+      const detail = match.pattern
+        ? match.pattern
+        : `키워드 "${match.keyword}"${match.distance ? `, 오타 ${match.distance}개` : ""}`;
+      message += `✅ 완독으로 인식됩니다.\n규칙: ${RULE_LABELS[match.rule]} (${detail})`;
+
+      const claim = parseCompletionMessage(text);
+      const claimLabels = {
+        today: "오늘 완독",
+        yesterday: "어제 완독",
+        date: `${claim.month}/${claim.day} 완독`,
+        index: `${claim.index}번 구절 완독`,
+      };
+      message += `\n기록: ${claimLabels[claim.type]}`;
+    } else {
+      message += `❌ 완독으로 인식되지 않습니다.\n이유: ${match.reason}`;
+    }
 
-    logInfo(
-      `/send 명령어 실행: 관리자 ${
-        ctx.from.username || ctx.from.id
-      }, 인덱스 ${index}`
-    );
+    await ctx.reply(message);
+    logInfo(`/testkeyword 명령어 실행: 관리자 ${ctx.from.username || ctx.from.id}`);
   } catch (error) {
-    logError("/send 명령어 실패", error);
+    logError("/testkeyword 명령어 실패", error);
     await ctx.reply("오류가 발생했습니다.");
   }
 });
 
 /**
- * /test - S3 연결 테스트 (관리자 전용)
+ * /test - 이미지 저장소 연결 테스트 (관리자 전용)
  */
 bot.command("test", async (ctx) => {
   try {
@@ -569,15 +2391,16 @@ bot.command("test", async (ctx) => {
       return;
     }
 
-    await ctx.reply("⏳ S3 연결을 테스트 중...");
+    const sourceName = getContentSourceName();
+    await ctx.reply(`⏳ ${sourceName} 연결을 테스트 중...`);
 
-    const success = await testS3Connection();
+    const success = await testContentSource();
 
     if (success) {
       const totalCount = await getTotalImageCount();
-      await ctx.reply(`✅ S3 연결 성공!\n📸 총 이미지: ${totalCount}개`);
+      await ctx.reply(`✅ ${sourceName} 연결 성공!\n📸 총 이미지: ${totalCount}개`);
     } else {
-      await ctx.reply("❌ S3 연결 실패. 설정을 확인해주세요.");
+      await ctx.reply(`❌ ${sourceName} 연결 실패. 설정을 확인해주세요.`);
     }
 
     logInfo(`/test 명령어 실행: 관리자 ${ctx.from.username || ctx.from.id}`);
@@ -597,13 +2420,21 @@ bot.command("scheduleinfo", async (ctx) => {
       return;
     }
 
-    const info = getScheduleInfo();
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const info = getScheduleInfo(group);
 
-    let message = `📅 스케줄러 정보\n\n`;
+    let message = `📅 스케줄러 정보 - ${formatGroupName(group)}\n\n`;
     message += `🕐 현재 서버 시간\n`;
     message += `${info.currentTime}\n`;
     message += `타임존: ${info.timezone}\n`;
-    message += `요일: ${info.dayOfWeek}\n\n`;
+    message += `요일: ${info.dayOfWeek}\n`;
+    message += `제외 요일: ${
+      info.excludeDays.length > 0
+        ? info.excludeDays.map((day) => getWeekdayName(day)).join(", ")
+        : "없음"
+    }\n\n`;
 
     message += `📋 등록된 스케줄\n\n`;
 
@@ -629,6 +2460,28 @@ bot.command("scheduleinfo", async (ctx) => {
     message += `   상태: ${mr.active ? "✅ 활성" : "❌ 비활성"}\n`;
     message += `   Cron: ${mr.cronExpression}\n\n`;
 
+    // 예약 작업
+    const jr = info.schedules.jobRunner;
+    message += `4️⃣ 예약 작업 (${info.pendingJobs.length}건 대기)\n`;
+    message += `   상태: ${jr.active ? "✅ 활성" : "❌ 비활성"}\n`;
+    info.pendingJobs.forEach((job) => {
+      const runAt = new Date(job.run_at).toLocaleString("ko-KR", {
+        timeZone: info.timezone,
+      });
+      message += `   • ${JOB_LABELS[job.type] || job.type}: ${runAt}`;
+      if (job.attempts > 0) {
+        message += ` (재시도 ${job.attempts}회)`;
+      }
+      message += `\n`;
+    });
+    message += `\n`;
+
+    // 전송 전 이미지 확인
+    const pf = info.schedules.preflight;
+    message += `5️⃣ 전송 전 이미지 확인\n`;
+    message += `   시간: ${pf.time} (매일)\n`;
+    message += `   상태: ${pf.active ? "✅ 활성" : "❌ 비활성"}\n\n`;
+
     message += `💡 TIP: Docker 로그를 확인하여 스케줄러 실행 여부를 확인할 수 있습니다.`;
 
     await ctx.reply(message);
@@ -641,6 +2494,375 @@ bot.command("scheduleinfo", async (ctx) => {
   }
 });
 
+// ==================== 완독 버튼 ====================
+
+/**
+ * 말씀 사진의 완독 버튼에 표시된 완독자 수 갱신
+ */
+async function updateCompletionButton(chatId, messageId, readingIndex) {
+  const count = getReadingCompletionCount(chatId, readingIndex);
+  try {
+    await bot.telegram.editMessageReplyMarkup(
+      chatId,
+      messageId,
+      undefined,
+      buildCompletionKeyboard(readingIndex, count).reply_markup
+    );
+  } catch (error) {
+    // 숫자가 그대로이면 텔레그램이 "message is not modified" 오류를 반환
+    if (!error.description?.includes("message is not modified")) {
+      logError("완독 버튼 갱신 실패", error);
+    }
+  }
+}
+
+/**
+ * 완독 버튼 (done:<구절 인덱스>) - 해당 구절 완독 기록
+ * 이미 완독한 사람이 다시 누르면 완독 취소 버튼을 보여주고, 누르지 않으면 잠시 후 지웁니다.
+ */
+bot.action(/^done:(\d+)$/, async (ctx) => {
+  try {
+    const group = getGroup(ctx.chat.id);
+    if (!group || !group.active) {
+      await ctx.answerCbQuery("통독 중인 그룹이 아닙니다.");
+      return;
+    }
+
+    const readingIndex = parseInt(ctx.match[1]);
+    const messageId = ctx.callbackQuery.message?.message_id;
+
+    // 지난 세션의 말씀 사진 버튼은 현재 세션의 같은 번호 구절로 기록하지 않음
+    const post = messageId ? getReadingPost(group.chat_id, messageId) : null;
+    if (!post || post.session_id !== getCurrentSession(group.chat_id)?.id) {
+      await ctx.answerCbQuery("지난 통독 세션의 말씀입니다.", { show_alert: true });
+      return;
+    }
+
+    const resolved = resolveCompletionDate(group.chat_id, {
+      type: "index",
+      index: readingIndex,
+    });
+    if (resolved.error) {
+      await ctx.answerCbQuery(`❌ ${resolved.error}`, { show_alert: true });
+      return;
+    }
+
+    const { date, isLate } = resolved;
+    const result = recordCompletion(
+      group.chat_id,
+      ctx.from.id,
+      ctx.from.username || null,
+      ctx.from.first_name || null,
+      date,
+      { isLate, readingIndex, source: "button" }
+    );
+
+    if (result === "failed") {
+      await ctx.answerCbQuery("오류가 발생했습니다.");
+      return;
+    }
+
+    if (result === "duplicate") {
+      const participant = getParticipant(group.chat_id, ctx.from.id);
+      const name = participant ? getDisplayName(participant) : ctx.from.first_name;
+      await ctx.answerCbQuery("이미 완독한 구절입니다.");
+      const prompt = await ctx.reply(
+        `${name}님은 이미 ${readingIndex}번 구절을 완독했습니다. 완독을 취소하시겠어요?`,
+        Markup.inlineKeyboard([
+          Markup.button.callback(
+            "↩️ 완독 취소",
+            `undo:${readingIndex}:${ctx.from.id}:${messageId}`
+          ),
+        ])
+      );
+      // 취소 버튼을 누르면 그때 지워지므로, 이미 지워진 경우의 오류는 무시
+      setTimeout(() => {
+        bot.telegram.deleteMessage(group.chat_id, prompt.message_id).catch((error) => {
+          if (!error.description?.includes("message to delete not found")) {
+            logError("완독 취소 안내 삭제 실패", error);
+          }
+        });
+      }, UNDO_PROMPT_TTL_MS);
+      return;
+    }
+
+    // 이미 보고된 날짜이면 통계에 반영
+    if (date !== getTodayDate()) {
+      refreshDailyStats(group.chat_id, date);
+    }
+
+    await ctx.answerCbQuery(
+      `✅ ${readingIndex}번 구절 완독!${isLate ? " (늦은 완독)" : ""}`
+    );
+    if (messageId) {
+      await updateCompletionButton(group.chat_id, messageId, readingIndex);
+    }
+    logInfo(
+      `완독 버튼: 사용자 ${ctx.from.username || ctx.from.id}, 구절 ${readingIndex}, 날짜 ${date}`
+    );
+  } catch (error) {
+    logError("완독 버튼 처리 실패", error);
+    await ctx.answerCbQuery("오류가 발생했습니다.").catch(() => {});
+  }
+});
+
+/**
+ * 완독 취소 버튼 (undo:<구절 인덱스>:<사용자 ID>:<사진 메시지 ID>) - 본인만 누를 수 있음
+ */
+bot.action(/^undo:(\d+):(\d+):(\d+)$/, async (ctx) => {
+  try {
+    const [readingIndex, userId, messageId] = ctx.match.slice(1).map(Number);
+
+    if (ctx.from.id !== userId) {
+      await ctx.answerCbQuery("본인의 완독만 취소할 수 있습니다.", { show_alert: true });
+      return;
+    }
+
+    const group = getGroup(ctx.chat.id);
+    if (!group) {
+      await ctx.answerCbQuery("통독 중인 그룹이 아닙니다.");
+      return;
+    }
+
+    const removed = removeCompletion(group.chat_id, userId, readingIndex);
+    if (removed && removed.date !== getTodayDate()) {
+      refreshDailyStats(group.chat_id, removed.date);
+    }
+
+    await ctx.answerCbQuery(
+      removed ? "↩️ 완독이 취소되었습니다." : "취소할 완독 기록이 없습니다."
+    );
+    await ctx.deleteMessage().catch((error) => logError("완독 취소 안내 삭제 실패", error));
+    if (removed && messageId) {
+      await updateCompletionButton(group.chat_id, messageId, readingIndex);
+    }
+    logInfo(
+      `완독 취소 버튼: 사용자 ${ctx.from.username || userId}, 구절 ${readingIndex}`
+    );
+  } catch (error) {
+    logError("완독 취소 처리 실패", error);
+    await ctx.answerCbQuery("오류가 발생했습니다.").catch(() => {});
+  }
+});
+
+// ==================== 반응 완독 ====================
+
+/**
+ * 완독으로 인정하는 반응이 있는지 확인 (❤️처럼 이모지 변형 선택자가 붙어도 같은 이모지로 취급)
+ */
+function hasCompletionReaction(reactions) {
+  const normalize = (emoji) => emoji.replace(/\uFE0F/g, "");
+  const completionReactions = (config.completionReactions || []).map(normalize);
+  return reactions.some(
+    (reaction) =>
+      reaction.type === "emoji" && completionReactions.includes(normalize(reaction.emoji))
+  );
+}
+
+/**
+ * 말씀 사진에 남긴 반응 - completionReactions 이모지를 남기면 그 사진의 구절 완독,
+ * 반응을 지우면 반응으로 기록한 완독을 취소합니다. (봇이 그룹 관리자여야 수신됩니다)
+ */
+bot.on("message_reaction", async (ctx) => {
+  try {
+    const reaction = ctx.messageReaction;
+    const user = reaction.user;
+
+    // 익명 관리자(채널 명의) 반응은 사용자를 알 수 없으므로 무시
+    if (!user || user.is_bot) {
+      return;
+    }
+
+    const group = getGroup(ctx.chat.id);
+    if (!group || !group.active) {
+      return;
+    }
+
+    // 현재 세션의 말씀 사진에 남긴 반응만 처리
+    const post = getReadingPost(group.chat_id, reaction.message_id);
+    if (!post || post.session_id !== getCurrentSession(group.chat_id)?.id) {
+      return;
+    }
+
+    const hadReaction = hasCompletionReaction(reaction.old_reaction);
+    const hasReaction = hasCompletionReaction(reaction.new_reaction);
+    if (hadReaction === hasReaction) {
+      return;
+    }
+
+    const readingIndex = post.reading_index;
+    let changedDate = null;
+
+    if (hasReaction) {
+      const resolved = resolveCompletionDate(group.chat_id, {
+        type: "index",
+        index: readingIndex,
+      });
+      if (resolved.error) {
+        logInfo(`반응 완독 무시: 사용자 ${user.username || user.id}, ${resolved.error}`);
+        return;
+      }
+
+      const result = recordCompletion(
+        group.chat_id,
+        user.id,
+        user.username || null,
+        user.first_name || null,
+        resolved.date,
+        { isLate: resolved.isLate, readingIndex, source: "reaction" }
+      );
+      if (result !== "created") {
+        return;
+      }
+      changedDate = resolved.date;
+    } else {
+      // 키워드나 버튼으로 기록한 완독은 반응을 지워도 유지
+      const completion = getReadingCompletion(group.chat_id, user.id, readingIndex);
+      if (!completion || completion.source !== "reaction") {
+        return;
+      }
+      removeCompletion(group.chat_id, user.id, readingIndex);
+      changedDate = completion.date;
+    }
+
+    // 이미 보고된 날짜이면 통계에 반영
+    if (changedDate !== getTodayDate()) {
+      refreshDailyStats(group.chat_id, changedDate);
+    }
+
+    // 앨범 사진에 남긴 반응이면 버튼은 앨범 뒤의 완독 버튼 메시지에 있음
+    const buttonPost = getLatestReadingPost(group.chat_id, readingIndex) || post;
+    await updateCompletionButton(group.chat_id, buttonPost.message_id, readingIndex);
+    logInfo(
+      `반응 완독 ${hasReaction ? "기록" : "취소"}: 사용자 ${user.username || user.id}, 구절 ${readingIndex}`
+    );
+  } catch (error) {
+    logError("반응 완독 처리 실패", error);
+  }
+});
+
+// ==================== 완독 확인 ====================
+
+/**
+ * 완독 확인 설정 조회 (기본값 병합)
+ * mode: none(조용히 기록), reaction(메시지에 반응), reply(답장), dm(개인 메시지)
+ * reactionEmoji: 반응에 사용할 이모지 (텔레그램이 허용하는 반응 이모지만 가능, ✅는 불가)
+ * replyThrottleSeconds: 그룹에 답장하는 최소 간격 (간격 안에 들어온 완독은 반응으로 대신함)
+ */
+function getAckConfig() {
+  return {
+    mode: "none",
+    reactionEmoji: "👌",
+    replyThrottleSeconds: 60,
+    ...config.completionAck,
+  };
+}
+
+/**
+ * 키워드 완독 확인 (그룹의 ack_mode, 없으면 config의 completionAck.mode)
+ * 답장은 replyThrottleSeconds 간격으로만 보내고, 개인 메시지를 보낼 수 없으면 반응으로 대신합니다.
+ */
+async function acknowledgeCompletion(ctx, group) {
+  const ackConfig = getAckConfig();
+  let mode = group.ack_mode || ackConfig.mode;
+  if (mode === "none") {
+    return;
+  }
+
+  const userId = ctx.from.id;
+  const participant = getParticipant(group.chat_id, userId);
+  const name = participant ? getDisplayName(participant) : ctx.from.first_name;
+  const count = getUserCompletionCount(group.chat_id, userId);
+  const { current: streak } = calculateStreak(
+    group.chat_id,
+    getUserCompletionDates(group.chat_id, userId)
+  );
+  const summary = `이번 세션 ${count}회` + (streak > 1 ? `, 🔥 ${streak}일 연속` : "");
+
+  if (mode === "reply") {
+    const now = Date.now();
+    const lastReply = lastAckReplies.get(group.chat_id) || 0;
+    if (now - lastReply < ackConfig.replyThrottleSeconds * 1000) {
+      mode = "reaction";
+    } else {
+      lastAckReplies.set(group.chat_id, now);
+      await ctx.reply(`✅ ${name}님 완독! (${summary})`, {
+        reply_parameters: { message_id: ctx.message.message_id },
+      });
+      return;
+    }
+  }
+
+  if (mode === "dm") {
+    try {
+      await bot.telegram.sendMessage(
+        userId,
+        `✅ ${formatGroupName(group)} 완독이 기록되었습니다.\n\n` +
+          `이번 세션 완독: ${count}회\n` +
+          `🔥 연속 통독: ${streak}일`
+      );
+      return;
+    } catch (error) {
+      // 봇과 대화를 시작하지 않은 사용자에게는 개인 메시지를 보낼 수 없음
+      logInfo(`완독 확인 개인 메시지 실패 (반응으로 대신함): 사용자 ${userId}, ${error.message}`);
+      mode = "reaction";
+    }
+  }
+
+  if (mode === "reaction") {
+    await ctx.react(ackConfig.reactionEmoji);
+  }
+}
+
+/**
+ * /ackmode - 키워드 완독 확인 방식 조회/변경 (관리자 전용)
+ */
+bot.command("ackmode", async (ctx) => {
+  try {
+    if (!isAdmin(ctx.from.id)) {
+      await ctx.reply("⛔ 관리자만 사용할 수 있는 명령어입니다.");
+      return;
+    }
+
+    const group = await resolveGroup(ctx);
+    if (!group) return;
+
+    const mode = ctx.message.text.split(" ").slice(1)[0];
+    const options = Object.entries(ACK_MODE_LABELS)
+      .map(([key, label]) => `${key} - ${label}`)
+      .join("\n");
+
+    if (!mode) {
+      const currentMode = group.ack_mode || getAckConfig().mode;
+      await ctx.reply(
+        `✅ 완독 확인 방식 - ${formatGroupName(group)}\n\n` +
+          `현재: ${ACK_MODE_LABELS[currentMode] || currentMode}` +
+          `${group.ack_mode ? "" : " (기본 설정)"}\n\n` +
+          `변경: /ackmode [방식]\n${options}`
+      );
+      return;
+    }
+
+    if (!ACK_MODE_LABELS[mode]) {
+      await ctx.reply(`❌ 알 수 없는 방식입니다.\n\n${options}`);
+      return;
+    }
+
+    updateGroup(group.chat_id, { ack_mode: mode });
+    auditCommand(ctx, group.chat_id, {
+      before: { ackMode: group.ack_mode },
+      after: { ackMode: mode },
+    });
+    await ctx.reply(`✅ 완독 확인 방식을 변경했습니다: ${ACK_MODE_LABELS[mode]}`);
+    logInfo(
+      `/ackmode 명령어 실행: 관리자 ${ctx.from.username || ctx.from.id}, 그룹 ${group.chat_id}, 방식 ${mode}`
+    );
+  } catch (error) {
+    logError("/ackmode 명령어 실패", error);
+    await ctx.reply("오류가 발생했습니다.");
+  }
+});
+
 // ==================== 텍스트 메시지 핸들러 ====================
 
 /**
@@ -655,19 +2877,70 @@ bot.on("text", async (ctx) => {
       return;
     }
 
-    // 완독 키워드 체크
-    if (config.completionKeywords.includes(text)) {
-      const userId = ctx.from.id;
-      const username = ctx.from.username || null;
-      const firstName = ctx.from.first_name || null;
-      const today = getTodayDate();
+    // 등록된 통독 그룹의 메시지만 기록
+    const group = getGroup(ctx.chat.id);
+    if (!group || !group.active) {
+      return;
+    }
+
+    // 완독 키워드 체크 ("완독", "어제 완독", "완독 3/12", "완독 125")
+    const claim = parseCompletionMessage(text);
+    if (!claim) {
+      return;
+    }
+
+    const resolved = resolveCompletionDate(group.chat_id, claim);
+    if (resolved.error) {
+      await ctx.reply(`❌ ${resolved.error}`);
+      return;
+    }
+
+    const userId = ctx.from.id;
+    const username = ctx.from.username || null;
+    const firstName = ctx.from.first_name || null;
+    const { date, isLate, readingIndex } = resolved;
+
+    const result = recordCompletion(
+      group.chat_id,
+      userId,
+      username,
+      firstName,
+      date,
+      { isLate, readingIndex }
+    );
+
+    if (result === "created") {
+      logInfo(
+        `완독 기록: 사용자 ${username || userId}, 날짜 ${date}, 구절 ${readingIndex ?? "-"}${isLate ? " (늦은 완독)" : ""}`
+      );
 
-      const recorded = recordCompletion(userId, username, firstName, today);
+      // 이미 보고된 날짜이면 통계에 반영
+      if (date !== getTodayDate()) {
+        refreshDailyStats(group.chat_id, date);
+      }
+
+      // 말씀 사진의 완독 버튼 숫자 갱신
+      const post = readingIndex ? getLatestReadingPost(group.chat_id, readingIndex) : null;
+      if (post) {
+        await updateCompletionButton(group.chat_id, post.message_id, readingIndex);
+      }
+    }
 
-      if (recorded) {
-        logInfo(`완독 기록: 사용자 ${username || userId}, 날짜 ${today}`);
-        // 조용히 기록만 함 (응답 없음)
+    // 오늘 완독은 완독 확인 방식(/ackmode)에 따라 알리고, 날짜를 지정한 완독은 기록된 날짜와 구절을 알려줌
+    if (claim.type === "today") {
+      if (result === "created") {
+        // 반응이 막힌 그룹 등에서 확인에 실패해도 완독 기록에는 영향 없음
+        await acknowledgeCompletion(ctx, group).catch((error) =>
+          logError("완독 확인 실패", error)
+        );
       }
+    } else if (result !== "failed") {
+      const target = readingIndex ? `${date} (${readingIndex}번 구절)` : date;
+      await ctx.reply(
+        result === "created"
+          ? `✅ ${target} 완독이 기록되었습니다.${isLate ? " (늦은 완독)" : ""}`
+          : `이미 ${target} 완독 기록이 있습니다.`
+      );
     }
   } catch (error) {
     logError("텍스트 메시지 처리 실패", error);
@@ -687,22 +2960,34 @@ async function startBot() {
   try {
     logInfo("봇 시작 중...");
 
-    // S3 연결 테스트
-    const s3Connected = await testS3Connection();
-    if (!s3Connected) {
-      logError("S3 연결 실패", new Error("S3 설정을 확인해주세요."));
+    // 이미지 저장소 연결 테스트 (S3 또는 로컬 폴더)
+    const contentConnected = await testContentSource();
+    if (!contentConnected) {
+      logError(
+        `${getContentSourceName()} 연결 실패`,
+        new Error("이미지 저장소 설정(CONTENT_SOURCE)을 확인해주세요.")
+      );
       process.exit(1);
     }
 
     // 스케줄러 시작
     startAllSchedules();
 
+    // 봇이 중단된 동안 누락된 전송 처리
+    for (const group of getActiveGroups()) {
+      await runCatchUp(group.chat_id);
+    }
+
     // 봇 실행 (Polling 방식)
-    await bot.launch();
+    await bot.launch({ allowedUpdates: ALLOWED_UPDATES });
 
     logInfo("✅ 봇이 성공적으로 시작되었습니다!");
     logInfo(`봇 이름: @${bot.botInfo.username}`);
-    logInfo(`그룹 Chat ID: ${config.telegram.groupChatId}`);
+    logInfo(
+      `통독 그룹: ${getActiveGroups()
+        .map((group) => `${formatGroupName(group)}(${group.chat_id})`)
+        .join(", ") || "없음"}`
+    );
 
     // Graceful shutdown
     process.once("SIGINT", () => bot.stop("SIGINT"));
@@ -0,0 +1,141 @@
+import { config } from "./config.js";
+import { isRestDay } from "./database.js";
+import {
+  getTodayDate,
+  getBrisbaneTime,
+  getDayOfWeek,
+  addDays,
+} from "./utils.js";
+
+// 예상 종료일 계산 시 최대 탐색 일수 (설정 오류로 인한 무한 루프 방지)
+const MAX_LOOKAHEAD_DAYS = 365 * 10;
+
+/**
+ * 특정 날짜가 그룹의 통독일인지 확인 (제외 요일 및 그룹 휴독일 반영)
+ * @param {number} chatId - 그룹 Chat ID
+ * @param {string} date - YYYY-MM-DD 형식의 날짜
+ * @returns {boolean} 통독일 여부
+ */
+export function isReadingDay(chatId, date) {
+  const excludeDays = config.excludeDays || [];
+  if (excludeDays.includes(getDayOfWeek(date))) {
+    return false;
+  }
+  return !isRestDay(chatId, date);
+}
+
+/**
+ * 오늘의 전송 시간이 지났는지 확인
+ * @param {string} sendTime - HH:MM 형식의 전송 시간 (기본값: config.sendTime)
+ * @returns {boolean} 전송 시간 경과 여부
+ */
+export function hasSendTimePassed(sendTime = config.sendTime) {
+  const now = getBrisbaneTime();
+  const [hour, minute] = sendTime.split(":").map(Number);
+  return now.getHours() * 60 + now.getMinutes() >= hour * 60 + minute;
+}
+
+/**
+ * fromDate부터 가장 가까운 그룹의 통독일 조회 (fromDate 포함)
+ * @param {number} chatId - 그룹 Chat ID
+ * @param {string} fromDate - YYYY-MM-DD 형식의 날짜
+ * @returns {string|null} 통독일 (찾지 못하면 null)
+ */
+export function getNextReadingDate(chatId, fromDate) {
+  let date = fromDate;
+  for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+    if (isReadingDay(chatId, date)) {
+      return date;
+    }
+    date = addDays(date, 1);
+  }
+  return null;
+}
+
+/**
+ * 남은 구절 수를 기준으로 예상 종료일 계산
+ * @param {number} remaining - 남은 구절 수
+ * @param {string|null} lastSentDate - 마지막 전송일
+ * @param {Object} group - 그룹 정보 (send_time, start_date)
+ * @returns {string|null} 마지막 구절이 전송될 예상 날짜 (남은 구절이 없으면 null)
+ */
+export function getProjectedEndDate(remaining, lastSentDate, group) {
+  if (remaining <= 0) {
+    return null;
+  }
+
+  const today = getTodayDate();
+
+  // 오늘 아직 전송 전이면 오늘부터, 아니면 내일부터 계산
+  let date =
+    lastSentDate !== today && !hasSendTimePassed(group.send_time)
+      ? today
+      : addDays(today, 1);
+
+  // 시작일이 미래이면 시작일부터 계산
+  if (group.start_date && group.start_date > date) {
+    date = group.start_date;
+  }
+
+  for (let count = 0; count < remaining; count++) {
+    date = getNextReadingDate(group.chat_id, date);
+    if (!date) {
+      return null;
+    }
+    if (count < remaining - 1) {
+      date = addDays(date, 1);
+    }
+  }
+
+  return date;
+}
+
+/**
+ * 완독 날짜 목록으로 연속 통독 일수 계산
+ * 통독일만 연속 여부를 판단하므로 제외 요일과 휴독일은 연속 기록을 끊지 않으며,
+ * 쉬는 날에 완독한 기록은 연속 일수에 포함되지 않습니다.
+ * 오늘이 통독일이고 아직 완독 전이면 어제까지의 연속 기록이 유지됩니다.
+ * @param {number} chatId - 그룹 Chat ID (그룹 휴독일 반영)
+ * @param {Array<string>} dates - YYYY-MM-DD 형식의 완독 날짜 (오래된 순)
+ * @param {string} today - 기준 날짜 (기본값: 오늘)
+ * @returns {Object} { current, longest, lastDate }
+ */
+export function calculateStreak(chatId, dates, today = getTodayDate()) {
+  const readingDates = dates.filter(
+    (date) => date <= today && isReadingDay(chatId, date)
+  );
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+
+  for (const date of readingDates) {
+    // 직전 완독일 다음 통독일이 이 날짜이면 연속
+    run =
+      previous && getNextReadingDate(chatId, addDays(previous, 1)) === date
+        ? run + 1
+        : 1;
+    longest = Math.max(longest, run);
+    previous = date;
+  }
+
+  // 마지막 완독일 이후 놓친 통독일이 있으면 현재 연속 기록은 끊긴 상태
+  let current = 0;
+  if (previous) {
+    const nextReadingDate =
+      previous === today ? today : getNextReadingDate(chatId, addDays(previous, 1));
+    if (!nextReadingDate || nextReadingDate >= today) {
+      current = run;
+    }
+  }
+
+  return { current, longest, lastDate: previous };
+}
+
+export default {
+  isReadingDay,
+  hasSendTimePassed,
+  getNextReadingDate,
+  getProjectedEndDate,
+  calculateStreak,
+};
@@ -0,0 +1,156 @@
+import { config } from "./config.js";
+import {
+  getCurrentSession,
+  getReadingIndexForDate,
+  getReadingSendDate,
+} from "./database.js";
+import { isReadingDay } from "./calendar.js";
+import { matchCompletionKeyword } from "./keywordMatcher.js";
+import { getTodayDate, getBrisbaneTime, addDays, isValidDateString } from "./utils.js";
+
+// 날짜 지정 형식 (예: 3/12)
+const DATE_PATTERN = /^(\d{1,2})\/(\d{1,2})$/;
+// 구절 인덱스 지정 형식 (예: 125)
+const INDEX_PATTERN = /^\d+$/;
+
+/**
+ * 늦은 완독 설정 조회 (기본값 병합)
+ * graceHours: 자정 이후 이 시간까지는 "완독"을 어제 완독으로 인정 (오늘 구절 전송 전에 한함)
+ * maxBackfillDays: 며칠 전까지의 완독을 기록할 수 있는지
+ */
+function getLateCompletionConfig() {
+  return {
+    graceHours: 3,
+    maxBackfillDays: 7,
+    ...config.lateCompletion,
+  };
+}
+
+/**
+ * 완독 메시지 해석
+ * "완독" (오늘), "어제 완독" (어제), "완독 3/12" (날짜), "완독 125" (구절 인덱스)
+ * 키워드와 날짜/인덱스의 순서는 바꿔 써도 되며, 키워드는 keywordMatcher 규칙으로 확인합니다.
+ * ("완독했습니다!", "오늘 완독 🙏"은 오늘 완독, "어제 완독했어요"는 어제 완독)
+ * @param {string} text - 메시지 내용
+ * @param {Array<string>} keywords - 완독 키워드 (기본값: config.completionKeywords)
+ * @returns {Object|null} { type: "today"|"yesterday"|"date"|"index", month, day, index } (완독 메시지가 아니면 null)
+ */
+export function parseCompletionMessage(text, keywords = config.completionKeywords) {
+  const match = matchCompletionKeyword(text, { keywords });
+  if (!match.matched) {
+    return null;
+  }
+
+  const tokens = match.normalized.split(" ");
+  if (tokens.length === 2) {
+    for (const [position, qualifier] of tokens.entries()) {
+      const claim = parseQualifier(qualifier);
+      if (claim && matchCompletionKeyword(tokens[1 - position], { keywords }).matched) {
+        return claim;
+      }
+    }
+  }
+
+  return { type: "today" };
+}
+
+/**
+ * 키워드와 함께 쓴 날짜/인덱스 해석 ("어제", "3/12", "125")
+ * @returns {Object|null} 날짜/인덱스가 아니면 null
+ */
+function parseQualifier(qualifier) {
+  if (qualifier === "어제") {
+    return { type: "yesterday" };
+  }
+
+  const dateMatch = qualifier.match(DATE_PATTERN);
+  if (dateMatch) {
+    return {
+      type: "date",
+      month: parseInt(dateMatch[1]),
+      day: parseInt(dateMatch[2]),
+    };
+  }
+
+  if (INDEX_PATTERN.test(qualifier)) {
+    return { type: "index", index: parseInt(qualifier) };
+  }
+
+  return null;
+}
+
+/**
+ * 완독 메시지가 가리키는 통독일과 구절 계산
+ * 유예 시간 안의 어제 완독은 제시간 완독으로, 그 외 지난 날짜의 완독은 늦은 완독으로 기록합니다.
+ * 날짜로 완독한 경우 그날 전송된 구절을 완독한 것으로 봅니다. (전송 기록이 없으면 readingIndex는 null)
+ * @param {number} chatId - 텔레그램 그룹 Chat ID
+ * @param {Object} claim - parseCompletionMessage 결과
+ * @returns {Object} { date, isLate, readingIndex } 또는 기록할 수 없으면 { error }
+ */
+export function resolveCompletionDate(chatId, claim) {
+  const { graceHours, maxBackfillDays } = getLateCompletionConfig();
+  const session = getCurrentSession(chatId);
+  const today = getTodayDate();
+  const yesterday = addDays(today, -1);
+  const fromDate = session ? session.start_date : null;
+
+  // 자정 이후 유예 시간 안이고 오늘 구절이 아직 전송되지 않았으면 어제 통독으로 취급
+  const inGracePeriod =
+    getBrisbaneTime().getHours() < graceHours &&
+    (!session || session.last_sent_date !== today);
+
+  let date;
+  switch (claim.type) {
+    case "today":
+      date = inGracePeriod && isReadingDay(chatId, yesterday) ? yesterday : today;
+      break;
+    case "yesterday":
+      date = yesterday;
+      break;
+    case "date": {
+      // 올해 날짜가 미래이면 작년 날짜로 해석 (1월에 "완독 12/30" 등)
+      const [year] = today.split("-").map(Number);
+      const monthDay = `${String(claim.month).padStart(2, "0")}-${String(claim.day).padStart(2, "0")}`;
+      date = `${year}-${monthDay}`;
+      if (date > today) {
+        date = `${year - 1}-${monthDay}`;
+      }
+      if (!isValidDateString(date)) {
+        return { error: "올바른 날짜가 아닙니다. 예: 완독 3/12" };
+      }
+      break;
+    }
+    case "index":
+      date = getReadingSendDate(chatId, claim.index, fromDate);
+      if (!date) {
+        return { error: `현재 세션에서 ${claim.index}번 구절을 전송한 기록이 없습니다.` };
+      }
+      break;
+    default:
+      return { error: "알 수 없는 완독 형식입니다." };
+  }
+
+  const readingIndex =
+    claim.type === "index" ? claim.index : getReadingIndexForDate(chatId, date, fromDate);
+
+  if (date === today) {
+    return { date, isLate: false, readingIndex };
+  }
+
+  if (session && session.start_date && date < session.start_date) {
+    return { error: "현재 통독 세션이 시작되기 전 날짜입니다." };
+  }
+  if (date < addDays(today, -maxBackfillDays)) {
+    return { error: `${maxBackfillDays}일이 지난 완독은 기록할 수 없습니다.` };
+  }
+  if (claim.type !== "index" && !isReadingDay(chatId, date)) {
+    return { error: `${date}은(는) 통독일이 아닙니다.` };
+  }
+
+  return { date, isLate: !(inGracePeriod && date === yesterday), readingIndex };
+}
+
+export default {
+  parseCompletionMessage,
+  resolveCompletionDate,
+};
@@ -14,16 +14,29 @@ const __dirname = dirname(__filename);
 const configPath = join(__dirname, '..', 'config', 'default.json');
 const defaultConfig = JSON.parse(readFileSync(configPath, 'utf-8'));
 
-// 환경 변수 검증
-function validateEnv() {
-  const required = [
-    'TELEGRAM_BOT_TOKEN',
-    'TELEGRAM_GROUP_CHAT_ID',
-    'AWS_ACCESS_KEY_ID',
-    'AWS_SECRET_ACCESS_KEY',
-    'AWS_REGION',
-    'S3_BUCKET_NAME'
-  ];
+// 이미지 저장소 종류 (s3: AWS S3 또는 S3 호환 저장소, local: 로컬 폴더)
+const CONTENT_SOURCES = ['s3', 'local'];
+const contentSource = process.env.CONTENT_SOURCE || 's3';
+
+/**
+ * 환경 변수 검증 (AWS 설정은 S3 저장소를 사용할 때만 필요)
+ * 봇 시작 시 호출합니다. 마이그레이션 스크립트처럼 데이터베이스 파일만 다루는 경우에는
+ * 봇 토큰과 저장소 설정 없이도 이 설정을 읽을 수 있도록 불러올 때 검증하지 않습니다.
+ */
+export function validateEnv() {
+  if (!CONTENT_SOURCES.includes(contentSource)) {
+    throw new Error(`CONTENT_SOURCE는 ${CONTENT_SOURCES.join(', ')} 중 하나여야 합니다: ${contentSource}`);
+  }
+
+  const required = ['TELEGRAM_BOT_TOKEN'];
+  if (contentSource === 's3') {
+    required.push(
+      'AWS_ACCESS_KEY_ID',
+      'AWS_SECRET_ACCESS_KEY',
+      'AWS_REGION',
+      'S3_BUCKET_NAME'
+    );
+  }
 
   const missing = required.filter(key => !process.env[key]);
   
@@ -32,14 +45,12 @@ function validateEnv() {
   }
 }
 
-// 설정 검증
-validateEnv();
-
 // 통합 설정 객체
 export const config = {
   // 환경 변수
   telegram: {
     botToken: process.env.TELEGRAM_BOT_TOKEN,
+    // 선택 사항: 기존 단일 그룹 데이터를 귀속시킬 그룹 (그룹은 /addgroup 으로 추가)
     groupChatId: process.env.TELEGRAM_GROUP_CHAT_ID,
     adminUserIds: process.env.ADMIN_USER_IDS 
       ? process.env.ADMIN_USER_IDS.split(',').map(id => parseInt(id.trim()))
@@ -50,7 +61,25 @@ export const config = {
     accessKeyId: process.env.AWS_ACCESS_KEY_ID,
     secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
     region: process.env.AWS_REGION,
-    s3BucketName: process.env.S3_BUCKET_NAME
+    s3BucketName: process.env.S3_BUCKET_NAME,
+    // 선택 사항: MinIO 등 S3 호환 저장소 주소와 경로 방식 주소 사용 여부
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  },
+  
+  // 이미지 저장소
+  content: {
+    source: contentSource,
+    // local 저장소에서 이미지를 읽을 폴더
+    localDir: process.env.LOCAL_CONTENT_DIR || join(__dirname, '..', 'content'),
+    // 전송 전날 미리 확인한 이미지를 저장해 두는 폴더
+    cacheDir: join(__dirname, '..', 'data', 'image_cache')
+  },
+  
+  // 데이터베이스 파일 및 마이그레이션 백업 위치
+  database: {
+    path: join(__dirname, '..', 'data', 'bible_reading.db'),
+    backupDir: join(__dirname, '..', 'data', 'backups')
   },
   
   // default.json 설정
@@ -63,23 +92,26 @@ export const config = {
 
 /**
  * 설정 파일 업데이트
+ * 파일에 있는 다른 설정은 그대로 두고 전달한 키만 바꿉니다.
+ * 쓰는 도중 종료되어도 설정 파일이 깨지지 않도록 임시 파일에 쓴 뒤 교체합니다.
  * @param {Object} updates - 업데이트할 설정 객체
  */
 export async function updateConfig(updates) {
-  const { writeFileSync } = await import('fs');
+  const { writeFileSync, renameSync } = await import('fs');
   
-  // 현재 설정을 읽어서 병합
+  // 봇 실행 중 파일을 직접 고친 내용도 유지되도록 현재 파일을 읽어서 병합
   const updatedConfig = {
-    ...defaultConfig,
+    ...JSON.parse(readFileSync(configPath, 'utf-8')),
     ...updates
   };
   
-  // config/default.json 파일에 저장
-  writeFileSync(
-    configPath,
-    JSON.stringify(updatedConfig, null, 2),
-    'utf-8'
-  );
+  // config/default.json 파일에 저장 (같은 폴더의 임시 파일에 쓴 뒤 교체)
+  const tempPath = `${configPath}.${process.pid}.tmp`;
+  writeFileSync(tempPath, JSON.stringify(updatedConfig, null, 2) + '\n', 'utf-8');
+  renameSync(tempPath, configPath);
+  
+  // 다음 업데이트에서 이전 변경사항이 유실되지 않도록 기준 설정도 갱신
+  Object.assign(defaultConfig, updates);
   
   // 메모리의 config 객체도 업데이트
   Object.assign(config, updates);
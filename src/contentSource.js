@@ -0,0 +1,546 @@
+import { createHash } from 'crypto';
+import { mkdir, readFile, readdir, unlink, writeFile } from 'fs/promises';
+import { extname, join } from 'path';
+import { config } from './config.js';
+import s3Source from './s3Service.js';
+import localSource from './localSource.js';
+import { extractIndexFromFilename, logInfo, logError, logDebug } from './utils.js';
+
+// 이미지 저장소 (CONTENT_SOURCE 환경 변수로 선택)
+// 각 저장소는 listObjects(), readObject(key), testConnection()을 제공합니다.
+const BACKENDS = {
+  s3: s3Source,
+  local: localSource
+};
+const backend = BACKENDS[config.content.source];
+
+// 이미지 목록 캐시
+let imageListCache = null;
+let cacheTimestamp = null;
+const CACHE_TTL = 1000 * 60 * 60; // 1시간
+
+// 이미지 순서와 정보를 명시하는 매니페스트 파일 (저장소 최상위, 선택 사항)
+const MANIFEST_KEY = 'manifest.json';
+
+// 제목 여러 개를 이어 붙일 때 구분자 (예: "창세기 12장 · 시편 5편")
+const TITLE_SEPARATOR = ' · ';
+
+// 텔레그램 사진 제한 (10MB, 가로 + 세로 10000px, 가로세로 비율 20:1)
+const MAX_PHOTO_BYTES = 10 * 1024 * 1024;
+const MAX_PHOTO_DIMENSION_SUM = 10000;
+const MAX_PHOTO_ASPECT_RATIO = 20;
+
+/**
+ * manifest.json으로 이미지 파일 목록 구성
+ * 형식: { "images": [{ "index": 1, "key": "...", "title": "...", "book": "...", "chapter": 1, "checksum": "sha256 hex" }] }
+ * 같은 인덱스의 항목이 여러 개이면 하루에 함께 보내는 이미지로, 매니페스트에 적힌 순서대로 보냅니다.
+ * 인덱스가 잘못되었거나, 저장소에 없는 파일을 가리키거나, 같은 파일이 중복된 항목은 건너뜁니다.
+ * @param {Map} objectsByKey - 키 → 저장소 객체
+ * @returns {Promise<Array>} 이미지 파일 목록 (매니페스트 순서)
+ */
+async function loadManifestImages(objectsByKey) {
+  const manifest = JSON.parse((await backend.readObject(MANIFEST_KEY)).toString('utf-8'));
+
+  if (!manifest || !Array.isArray(manifest.images)) {
+    throw new Error('manifest.json에 images 배열이 없습니다.');
+  }
+
+  const images = [];
+  const keys = new Set();
+
+  for (const entry of manifest.images) {
+    if (!entry || !Number.isInteger(entry.index) || entry.index <= 0) {
+      logInfo(`⚠️  manifest.json: 인덱스가 올바르지 않은 항목을 건너뜁니다: ${JSON.stringify(entry)}`);
+      continue;
+    }
+    if (keys.has(entry.key)) {
+      logInfo(`⚠️  manifest.json: 중복된 파일 항목을 건너뜁니다: ${entry.index} - ${entry.key}`);
+      continue;
+    }
+
+    const object = objectsByKey.get(entry.key);
+    if (!object) {
+      logInfo(`⚠️  manifest.json: 저장소에 없는 파일을 건너뜁니다: ${entry.index} - ${entry.key}`);
+      continue;
+    }
+
+    keys.add(entry.key);
+    images.push({
+      key: entry.key,
+      size: object.size,
+      lastModified: object.lastModified,
+      etag: object.etag,
+      index: entry.index,
+      title: entry.title || null,
+      book: entry.book || null,
+      chapter: entry.chapter ?? null,
+      checksum: entry.checksum ? entry.checksum.toLowerCase() : null
+    });
+  }
+
+  return images;
+}
+
+/**
+ * 이미지 파일을 인덱스(하루 분량)별로 묶기
+ * @param {Array} files - 인덱스가 있는 이미지 파일 목록 (같은 인덱스 안에서는 보낼 순서)
+ * @returns {Array} { index, key, title, files } 형식의 목록 (인덱스 순, key는 첫 번째 파일)
+ */
+function groupByIndex(files) {
+  const readings = new Map();
+
+  for (const file of files) {
+    if (!readings.has(file.index)) {
+      readings.set(file.index, { index: file.index, key: file.key, files: [] });
+    }
+    readings.get(file.index).files.push(file);
+  }
+
+  return [...readings.values()]
+    .map(reading => {
+      const titles = reading.files.map(file => file.title).filter(Boolean);
+      return { ...reading, title: titles.length > 0 ? titles.join(TITLE_SEPARATOR) : null };
+    })
+    .sort((a, b) => a.index - b.index); // 인덱스 순으로 정렬
+}
+
+/**
+ * 이미지 저장소의 이미지 목록 조회 및 정렬
+ * 저장소에 manifest.json이 있으면 매니페스트에 적힌 인덱스와 정보를 사용하고,
+ * 없거나 읽을 수 없으면 파일명의 번호(예: "1_창세기1장.jpg")로 순서를 정합니다.
+ * 같은 인덱스의 파일(예: "12_a_창세기.jpg", "12_b_시편.jpg")은 하루 분량으로 묶입니다.
+ * @param {boolean} forceRefresh - 캐시 무시하고 강제로 새로고침
+ * @returns {Promise<Array>} 인덱스 순으로 정렬된 하루 분량 목록 { index, key, title, files }
+ */
+export async function listImages(forceRefresh = false) {
+  try {
+    // 캐시 확인
+    if (!forceRefresh && imageListCache && cacheTimestamp) {
+      const cacheAge = Date.now() - cacheTimestamp;
+      if (cacheAge < CACHE_TTL) {
+        logDebug('이미지 목록 캐시 사용');
+        return imageListCache;
+      }
+    }
+    
+    logInfo(`${backend.name}에서 이미지 목록 조회 중...`);
+    
+    const objects = await backend.listObjects();
+    
+    if (objects.length === 0) {
+      logInfo(`${backend.name}에 이미지가 없습니다.`);
+      return [];
+    }
+    
+    let images = null;
+    const objectsByKey = new Map(objects.map(obj => [obj.key, obj]));
+    
+    if (objectsByKey.has(MANIFEST_KEY)) {
+      try {
+        images = await loadManifestImages(objectsByKey);
+        logInfo(`manifest.json 사용: ${images.length}개 항목`);
+      } catch (error) {
+        logError('manifest.json 읽기 실패 (파일명 순서로 대신합니다)', error);
+      }
+    }
+    
+    if (!images) {
+      // 이미지 파일만 필터링 (jpg, jpeg, png)
+      images = objects
+        .filter(obj => {
+          const key = obj.key.toLowerCase();
+          return key.endsWith('.jpg') || key.endsWith('.jpeg') || key.endsWith('.png');
+        })
+        .map(obj => ({
+          ...obj,
+          index: extractIndexFromFilename(obj.key)
+        }))
+        .filter(img => img.index > 0) // 인덱스가 있는 파일만
+        .sort((a, b) => a.key.localeCompare(b.key)); // 같은 인덱스는 파일명 순으로 전송
+    }
+    
+    const readings = groupByIndex(images);
+    
+    // 캐시 저장
+    imageListCache = readings;
+    cacheTimestamp = Date.now();
+    
+    logInfo(`총 ${readings.length}일 분량, ${images.length}개의 이미지를 찾았습니다.`);
+    logDebug(
+      '이미지 목록',
+      readings.map(reading => `${reading.index}: ${reading.files.map(file => file.key).join(', ')}`)
+    );
+    
+    return readings;
+  } catch (error) {
+    logError('이미지 목록 조회 실패', error);
+    throw error;
+  }
+}
+
+/**
+ * 전체 구절(하루 분량) 개수 조회
+ * @returns {Promise<number>} 구절 개수 (이미지 여러 장을 묶은 날도 1개)
+ */
+export async function getTotalImageCount() {
+  try {
+    const images = await listImages();
+    return images.length;
+  } catch (error) {
+    logError('이미지 개수 조회 실패', error);
+    return 0;
+  }
+}
+
+/**
+ * 특정 인덱스의 이미지 조회
+ * @param {number} index - 이미지 인덱스
+ * @returns {Promise<Object|null>} 이미지 정보
+ */
+export async function getImageByIndex(index) {
+  try {
+    const images = await listImages();
+    const image = images.find(img => img.index === index);
+    
+    if (!image) {
+      logInfo(`인덱스 ${index}에 해당하는 이미지가 없습니다.`);
+      return null;
+    }
+    
+    return image;
+  } catch (error) {
+    logError(`인덱스 ${index} 이미지 조회 실패`, error);
+    return null;
+  }
+}
+
+/**
+ * 다음 인덱스의 이미지 조회
+ * @param {number} currentIndex - 현재 인덱스
+ * @returns {Promise<Object|null>} 다음 이미지 정보
+ */
+export async function getNextImage(currentIndex) {
+  try {
+    const nextIndex = currentIndex + 1;
+    return await getImageByIndex(nextIndex);
+  } catch (error) {
+    logError('다음 이미지 조회 실패', error);
+    return null;
+  }
+}
+
+/**
+ * 저장소에서 이미지 다운로드 (Buffer로 반환)
+ * @param {string} key - 이미지 키 (S3 객체 키 또는 폴더 기준 상대 경로)
+ * @returns {Promise<Buffer>} 이미지 버퍼
+ */
+export async function downloadImage(key) {
+  try {
+    logInfo(`이미지 다운로드 중: ${key}`);
+    
+    const buffer = await backend.readObject(key);
+    
+    logInfo(`이미지 다운로드 완료: ${key} (${buffer.length} bytes)`);
+    return buffer;
+  } catch (error) {
+    logError(`이미지 다운로드 실패: ${key}`, error);
+    throw error;
+  }
+}
+
+/**
+ * manifest.json의 체크섬(SHA-256)과 이미지 비교 (다르면 예외)
+ */
+function verifyChecksum(file, buffer) {
+  if (!file.checksum) {
+    return;
+  }
+
+  const checksum = createHash('sha256').update(buffer).digest('hex');
+  if (checksum !== file.checksum) {
+    throw new Error(`체크섬이 일치하지 않습니다: ${file.key} (manifest ${file.checksum}, 실제 ${checksum})`);
+  }
+}
+
+/**
+ * 미리 받아 둔 이미지 파일 경로 (키와 ETag 기준, 파일이 바뀌면 경로도 달라짐)
+ */
+function getPrefetchPath(file) {
+  const hash = createHash('sha256').update(`${file.key}\n${file.etag}`).digest('hex');
+  return join(config.content.cacheDir, `${hash}${extname(file.key).toLowerCase()}`);
+}
+
+/**
+ * 미리 받아 둔 이미지 읽기
+ * @returns {Promise<Buffer|null>} 이미지 버퍼 (없으면 null)
+ */
+async function readPrefetchedImage(file) {
+  if (!file.etag) {
+    return null;
+  }
+
+  try {
+    const buffer = await readFile(getPrefetchPath(file));
+    logInfo(`미리 받아 둔 이미지 사용: ${file.key}`);
+    return buffer;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 이미지 파일 다운로드
+ * 전송 전날 미리 받아 둔 이미지가 있으면 저장소 대신 사용합니다.
+ * manifest.json에 체크섬(SHA-256)이 있으면 다운로드한 이미지와 비교합니다.
+ * @param {Object} file - listImages 결과의 files 항목
+ * @returns {Promise<Buffer>} 이미지 버퍼
+ */
+export async function downloadImageFile(file) {
+  const buffer = (await readPrefetchedImage(file)) || (await downloadImage(file.key));
+  
+  verifyChecksum(file, buffer);
+  return buffer;
+}
+
+/**
+ * 이미지 형식과 크기 확인 (JPEG, PNG)
+ * 끝부분이 잘린 파일은 손상된 것으로 봅니다.
+ * @param {Buffer} buffer - 이미지 버퍼
+ * @returns {Object|null} { format, width, height } (지원하지 않는 형식이거나 손상되었으면 null)
+ */
+function getImageInfo(buffer) {
+  // PNG: 시그니처 뒤 IHDR 청크에 가로/세로, 마지막은 IEND 청크
+  if (buffer.length > 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    if (!buffer.includes('IEND', buffer.length - 12)) {
+      return null;
+    }
+    return { format: 'PNG', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // JPEG: 세그먼트를 따라가며 SOF 마커에서 가로/세로, 마지막은 EOI 마커 (FF D9)
+  if (buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    if (buffer.lastIndexOf(Buffer.from([0xff, 0xd9])) < 2) {
+      return null;
+    }
+
+    let offset = 2;
+    while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      if (marker === 0xff) {
+        offset++; // 채움 바이트
+        continue;
+      }
+      // SOF0~SOF15 (DHT, JPG, DAC 마커 제외)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return {
+          format: 'JPEG',
+          width: buffer.readUInt16BE(offset + 7),
+          height: buffer.readUInt16BE(offset + 5)
+        };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 텔레그램 사진으로 보낼 수 있는 이미지인지 확인
+ * @param {Buffer} buffer - 이미지 버퍼
+ * @returns {Array<string>} 문제 목록 (없으면 빈 배열)
+ */
+function checkPhotoLimits(buffer) {
+  const problems = [];
+
+  if (buffer.length > MAX_PHOTO_BYTES) {
+    problems.push(`파일이 너무 큽니다 (${(buffer.length / 1024 / 1024).toFixed(1)}MB, 최대 10MB)`);
+  }
+
+  const info = getImageInfo(buffer);
+  if (!info) {
+    problems.push('JPEG/PNG 이미지가 아니거나 손상된 파일입니다');
+    return problems;
+  }
+
+  const { width, height } = info;
+  if (width === 0 || height === 0) {
+    problems.push(`이미지 크기를 읽을 수 없습니다 (${width}x${height})`);
+  } else if (width + height > MAX_PHOTO_DIMENSION_SUM) {
+    problems.push(`이미지가 너무 큽니다 (${width}x${height}, 가로 + 세로 최대 ${MAX_PHOTO_DIMENSION_SUM}px)`);
+  } else if (Math.max(width, height) / Math.min(width, height) > MAX_PHOTO_ASPECT_RATIO) {
+    problems.push(`이미지가 너무 길쭉합니다 (${width}x${height}, 가로세로 비율 최대 ${MAX_PHOTO_ASPECT_RATIO}:1)`);
+  }
+
+  return problems;
+}
+
+/**
+ * 이미지 파일을 미리 다운로드해 확인하고 로컬에 저장 (전송 전날 확인용)
+ * 체크섬과 텔레그램 사진 제한을 확인하며, 문제가 없으면 전송할 때 저장소 대신 사용하도록 저장합니다.
+ * @param {Object} file - listImages 결과의 files 항목
+ * @returns {Promise<Array<string>>} 문제 목록 (없으면 빈 배열)
+ */
+export async function prefetchImageFile(file) {
+  let buffer;
+  try {
+    buffer = await downloadImage(file.key);
+    verifyChecksum(file, buffer);
+  } catch (error) {
+    return [error.message];
+  }
+
+  const problems = checkPhotoLimits(buffer);
+  if (problems.length === 0 && file.etag) {
+    await mkdir(config.content.cacheDir, { recursive: true });
+    await writeFile(getPrefetchPath(file), buffer);
+    logInfo(`이미지 미리 저장 완료: ${file.key}`);
+  }
+  return problems;
+}
+
+/**
+ * 미리 받아 둔 이미지 모두 삭제 (다음 확인 전에 지난 이미지 정리)
+ */
+export async function clearPrefetchedImages() {
+  let names;
+  try {
+    names = await readdir(config.content.cacheDir);
+  } catch (error) {
+    return; // 아직 폴더가 없음
+  }
+
+  for (const name of names) {
+    await unlink(join(config.content.cacheDir, name));
+  }
+}
+
+/**
+ * 특정 인덱스의 이미지 다운로드 (하루 분량의 이미지 모두)
+ * @param {number} index - 이미지 인덱스
+ * @returns {Promise<Object|null>} { index, key, title, images: [{ key, buffer }] } 형식의 객체
+ *                                 (이미지가 없거나 체크섬이 다르면 null)
+ */
+export async function downloadImageByIndex(index) {
+  try {
+    const image = await getImageByIndex(index);
+    
+    if (!image) {
+      logInfo(`인덱스 ${index}에 해당하는 이미지가 없습니다.`);
+      return null;
+    }
+    
+    const images = [];
+    for (const file of image.files) {
+      images.push({ key: file.key, buffer: await downloadImageFile(file) });
+    }
+    
+    return {
+      index: image.index,
+      key: image.key,
+      title: image.title,
+      images
+    };
+  } catch (error) {
+    logError(`인덱스 ${index} 이미지 다운로드 실패`, error);
+    return null;
+  }
+}
+
+/**
+ * 이미지 목록 캐시 초기화
+ */
+export function clearImageCache() {
+  imageListCache = null;
+  cacheTimestamp = null;
+  logInfo('이미지 목록 캐시 초기화');
+}
+
+/**
+ * 이미지 존재 여부 확인
+ * @param {number} index - 이미지 인덱스
+ * @returns {Promise<boolean>} 존재 여부
+ */
+export async function imageExists(index) {
+  try {
+    const image = await getImageByIndex(index);
+    return image !== null;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 인덱스 범위 검증
+ * @param {number} index - 확인할 인덱스
+ * @returns {Promise<Object>} { valid, min, max, total } 형식의 객체
+ */
+export async function validateIndex(index) {
+  try {
+    const images = await listImages();
+    
+    if (images.length === 0) {
+      return {
+        valid: false,
+        min: 0,
+        max: 0,
+        total: 0,
+        message: `${backend.name}에 이미지가 없습니다.`
+      };
+    }
+    
+    const minIndex = images[0].index;
+    const maxIndex = images[images.length - 1].index;
+    const valid = index >= minIndex && index <= maxIndex;
+    
+    return {
+      valid,
+      min: minIndex,
+      max: maxIndex,
+      total: images.length,
+      message: valid ? 'OK' : `인덱스는 ${minIndex}에서 ${maxIndex} 사이여야 합니다.`
+    };
+  } catch (error) {
+    logError('인덱스 검증 실패', error);
+    return {
+      valid: false,
+      min: 0,
+      max: 0,
+      total: 0,
+      message: '인덱스 검증 중 오류 발생'
+    };
+  }
+}
+
+/**
+ * 사용 중인 이미지 저장소 이름 (예: S3, 로컬 폴더)
+ * @returns {string} 저장소 이름
+ */
+export function getContentSourceName() {
+  return backend.name;
+}
+
+/**
+ * 이미지 저장소 연결 확인
+ * @returns {Promise<boolean>} 연결 성공 여부
+ */
+export async function testContentSource() {
+  return backend.testConnection();
+}
+
+export default {
+  listImages,
+  getTotalImageCount,
+  getImageByIndex,
+  getNextImage,
+  downloadImage,
+  downloadImageFile,
+  downloadImageByIndex,
+  prefetchImageFile,
+  clearPrefetchedImages,
+  clearImageCache,
+  imageExists,
+  validateIndex,
+  getContentSourceName,
+  testContentSource
+};
@@ -1,548 +1,1721 @@
 import Database from "better-sqlite3";
-import { fileURLToPath } from "url";
-import { dirname, join } from "path";
+import { dirname } from "path";
 import { existsSync, mkdirSync } from "fs";
 import { getTodayDate, logInfo, logError } from "./utils.js";
 import { config } from "./config.js";
+import { runMigrations } from "./migrator.js";
 
-// __dirname 설정 (ESM 환경)
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+// 데이터베이스 경로
+const dbPath = config.database.path;
+
+// data 디렉토리 생성
+const dataDir = dirname(dbPath);
+if (!existsSync(dataDir)) {
+  mkdirSync(dataDir, { recursive: true });
+}
+
+// 데이터베이스 연결
+const db = new Database(dbPath);
+db.pragma("journal_mode = WAL"); // 성능 향상
+
+/**
+ * 데이터베이스 초기화 - 스키마 마이그레이션 적용
+ * 테이블 정의는 src/migrations/ 의 마이그레이션 파일에 있습니다.
+ */
+export async function initializeDatabase() {
+  logInfo("데이터베이스 초기화 시작...");
+
+  await runMigrations(db);
+
+  // 그룹 도입 이전 데이터를 기존 그룹에 귀속
+  assignLegacyData();
+
+  logInfo("데이터베이스 초기화 완료");
+}
+
+/**
+ * 단일 그룹 시절의 데이터를 TELEGRAM_GROUP_CHAT_ID 그룹의 데이터로 귀속
+ * (chat_id가 없는 레코드가 있을 때만 변경되므로 매 시작 시 실행해도 안전)
+ */
+function assignLegacyData() {
+  const assign = db.transaction(() => {
+    const legacyChatId = config.telegram.groupChatId
+      ? Number(config.telegram.groupChatId)
+      : null;
+    if (!legacyChatId) {
+      return;
+    }
+
+    if (!getGroup(legacyChatId)) {
+      const hasLegacySession = db
+        .prepare("SELECT 1 FROM sessions WHERE chat_id IS NULL LIMIT 1")
+        .get();
+      createGroup(legacyChatId, null, { createSession: !hasLegacySession });
+    }
+
+    // 그룹에 이미 같은 날짜의 기록이 있으면 UNIQUE 제약 조건에 따라 건너뜀
+    let assignedCompletions = 0;
+    for (const table of [
+      "sessions",
+      "completions",
+      "rest_days",
+      "daily_stats",
+      "monthly_stats",
+      "overall_stats",
+      "send_log",
+    ]) {
+      const result = db
+        .prepare(`UPDATE OR IGNORE ${table} SET chat_id = ? WHERE chat_id IS NULL`)
+        .run(legacyChatId);
+      if (result.changes > 0) {
+        logInfo(`${table}: 기존 데이터 ${result.changes}건을 그룹 ${legacyChatId}에 귀속`);
+      }
+      if (table === "completions") {
+        assignedCompletions = result.changes;
+      }
+    }
+
+    // 008 마이그레이션 시점에는 chat_id가 없어 등록되지 않은 참여자를 귀속된 완독 기록으로 등록
+    if (assignedCompletions > 0) {
+      registerLegacyParticipants(legacyChatId);
+    }
+
+    db.prepare(
+      "UPDATE jobs SET payload = ? WHERE type = 'overallStats' AND payload IS NULL"
+    ).run(JSON.stringify({ chatId: legacyChatId }));
+  });
+
+  assign();
+}
+
+/**
+ * 기존 완독 기록으로 참여자 등록 (이미 등록된 참여자는 건너뜀)
+ * 참여일은 첫 완독일, 이름은 가장 최근 완독 기록의 이름으로 하고 이름 이력을 남깁니다.
+ * 참여일을 첫 완독일로 해야 기존 참여자가 업그레이드 당일 완독률 분모에서 빠지지 않습니다.
+ * @param {number} chatId - 텔레그램 그룹 Chat ID
+ */
+function registerLegacyParticipants(chatId) {
+  const result = db
+    .prepare(
+      `
+    INSERT OR IGNORE INTO participants
+      (chat_id, user_id, username, first_name, joined_at, last_seen_at)
+    SELECT c.chat_id, c.user_id,
+      (SELECT l.username FROM completions l
+        WHERE l.chat_id = c.chat_id AND l.user_id = c.user_id ORDER BY l.id DESC LIMIT 1),
+      (SELECT l.first_name FROM completions l
+        WHERE l.chat_id = c.chat_id AND l.user_id = c.user_id ORDER BY l.id DESC LIMIT 1),
+      MIN(c.date), MAX(c.completed_at)
+    FROM completions c
+    WHERE c.chat_id = ?
+    GROUP BY c.chat_id, c.user_id
+  `
+    )
+    .run(chatId);
+
+  db.prepare(
+    `
+    INSERT INTO participant_names (chat_id, user_id, username, first_name)
+    SELECT p.chat_id, p.user_id, p.username, p.first_name FROM participants p
+    WHERE p.chat_id = ? AND NOT EXISTS (
+      SELECT 1 FROM participant_names n WHERE n.chat_id = p.chat_id AND n.user_id = p.user_id
+    )
+  `
+  ).run(chatId);
+
+  if (result.changes > 0) {
+    logInfo(`participants: 기존 완독 기록으로 참여자 ${result.changes}명 등록`);
+  }
+}
+
+// ==================== 그룹 관리 ====================
+
+/**
+ * 그룹 등록 (config의 sendTime, startDate, startIndex를 기본값으로 사용)
+ * @param {number} chatId - 텔레그램 그룹 Chat ID
+ * @param {string} title - 그룹 이름
+ * @param {Object} options - { createSession } 첫 통독 세션 생성 여부
+ */
+export function createGroup(chatId, title = null, { createSession = true } = {}) {
+  const startIndex = config.startIndex || 0;
+
+  db.prepare(
+    `
+    INSERT INTO groups (chat_id, title, send_time, start_date, start_index)
+    VALUES (?, ?, ?, ?, ?)
+  `
+  ).run(chatId, title, config.sendTime, config.startDate || null, startIndex);
+
+  if (createSession) {
+    startSession(chatId, { startDate: config.startDate || null, startIndex });
+  }
+
+  logInfo(`그룹 등록: ${title || chatId} (시작 인덱스: ${startIndex})`);
+  return getGroup(chatId);
+}
+
+/**
+ * 그룹 조회
+ */
+export function getGroup(chatId) {
+  return db.prepare("SELECT * FROM groups WHERE chat_id = ?").get(chatId);
+}
+
+/**
+ * 활성 그룹 목록 조회
+ */
+export function getActiveGroups() {
+  return db
+    .prepare("SELECT * FROM groups WHERE active = 1 ORDER BY created_at, chat_id")
+    .all();
+}
+
+/**
+ * 전체 그룹 목록 조회 (비활성 포함)
+ */
+export function getAllGroups() {
+  return db.prepare("SELECT * FROM groups ORDER BY created_at, chat_id").all();
+}
+
+/**
+ * 그룹 설정 업데이트
+ * @param {number} chatId - 텔레그램 그룹 Chat ID
+ * @param {Object} updates - { title, send_time, start_date, start_index, active, ack_mode } 중 변경할 값
+ */
+export function updateGroup(chatId, updates) {
+  const allowed = [
+    "title",
+    "send_time",
+    "start_date",
+    "start_index",
+    "active",
+    "ack_mode",
+  ];
+  const keys = Object.keys(updates).filter((key) => allowed.includes(key));
+
+  if (keys.length === 0) {
+    return false;
+  }
+
+  const result = db
+    .prepare(
+      `UPDATE groups SET ${keys.map((key) => `${key} = ?`).join(", ")} WHERE chat_id = ?`
+    )
+    .run(...keys.map((key) => updates[key]), chatId);
+
+  logInfo(`그룹 설정 업데이트: ${chatId} ${JSON.stringify(updates)}`);
+  return result.changes > 0;
+}
+
+// ==================== 통독 세션 관리 ====================
+
+/**
+ * 그룹의 현재 세션 조회 (가장 최근에 시작한 세션)
+ */
+export function getCurrentSession(chatId) {
+  return db
+    .prepare("SELECT * FROM sessions WHERE chat_id = ? ORDER BY id DESC LIMIT 1")
+    .get(chatId);
+}
+
+/**
+ * 그룹의 현재 세션 ID 조회
+ */
+export function getCurrentSessionId(chatId) {
+  const session = getCurrentSession(chatId);
+  return session ? session.id : null;
+}
+
+/**
+ * 세션 조회
+ */
+export function getSession(sessionId) {
+  return db.prepare("SELECT * FROM sessions WHERE id = ?").get(sessionId);
+}
+
+/**
+ * 그룹의 세션 목록 조회 (최신순)
+ */
+export function getSessions(chatId) {
+  return db
+    .prepare("SELECT * FROM sessions WHERE chat_id = ? ORDER BY id DESC")
+    .all(chatId);
+}
+
+/**
+ * 새 통독 세션 시작 (진행 중이거나 시작 대기 중인 세션은 중단 처리)
+ * 시작일이 미래이면 시작 대기(scheduled) 상태로 생성됩니다.
+ * @param {number} chatId - 텔레그램 그룹 Chat ID
+ * @param {Object} options - { name, plan, startDate, startIndex }
+ * @returns {number} 새 세션 ID
+ */
+export function startSession(
+  chatId,
+  { name = null, plan = null, startDate = null, startIndex = 0 } = {}
+) {
+  const today = getTodayDate();
+  const scheduled = !!startDate && startDate > today;
+
+  const start = db.transaction(() => {
+    db.prepare(
+      `
+      UPDATE sessions SET status = 'aborted', end_date = ?, end_index = current_index
+      WHERE chat_id = ? AND status IN ('scheduled', 'active')
+    `
+    ).run(today, chatId);
+
+    const { count } = db
+      .prepare("SELECT COUNT(*) as count FROM sessions WHERE chat_id = ?")
+      .get(chatId);
+
+    return db
+      .prepare(
+        `
+      INSERT INTO sessions (chat_id, name, plan, start_date, status, start_index, current_index)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `
+      )
+      .run(
+        chatId,
+        name || `${count + 1}차 통독`,
+        plan,
+        scheduled ? startDate : today,
+        scheduled ? "scheduled" : "active",
+        startIndex,
+        startIndex
+      ).lastInsertRowid;
+  });
+
+  const sessionId = start();
+  logInfo(`새로운 통독 세션 시작: 그룹 ${chatId}, 세션 ${sessionId}, 인덱스 ${startIndex}`);
+  return sessionId;
+}
+
+/**
+ * 세션 정보 업데이트
+ * @param {number} sessionId - 세션 ID
+ * @param {Object} updates - { name, plan, start_date, end_date, status, start_index, end_index } 중 변경할 값
+ */
+export function updateSession(sessionId, updates) {
+  const allowed = [
+    "name",
+    "plan",
+    "start_date",
+    "end_date",
+    "status",
+    "start_index",
+    "end_index",
+  ];
+  const keys = Object.keys(updates).filter((key) => allowed.includes(key));
+
+  if (keys.length === 0) {
+    return false;
+  }
+
+  const result = db
+    .prepare(
+      `UPDATE sessions SET ${keys.map((key) => `${key} = ?`).join(", ")} WHERE id = ?`
+    )
+    .run(...keys.map((key) => updates[key]), sessionId);
+
+  logInfo(`세션 정보 업데이트: ${sessionId} ${JSON.stringify(updates)}`);
+  return result.changes > 0;
+}
+
+/**
+ * 세션 완료 처리 (마지막 구절 전송 시)
+ */
+export function completeSession(sessionId) {
+  db.prepare(
+    `
+    UPDATE sessions SET status = 'completed', end_date = ?, end_index = current_index
+    WHERE id = ?
+  `
+  ).run(getTodayDate(), sessionId);
+  logInfo(`통독 세션 완료: 세션 ${sessionId}`);
+}
+
+/**
+ * 현재 인덱스 조회
+ */
+export function getCurrentIndex(chatId) {
+  const session = getCurrentSession(chatId);
+  return session ? session.current_index : 0;
+}
+
+/**
+ * 진행 상황 업데이트 (그룹의 현재 세션, 시작 대기 중이면 진행 중으로 변경)
+ */
+export function updateProgress(chatId, newIndex) {
+  const today = getTodayDate();
+  const session = getCurrentSession(chatId);
+  if (session) {
+    db.prepare(
+      `
+      UPDATE sessions
+      SET current_index = ?, last_sent_date = ?,
+        status = CASE WHEN status = 'scheduled' THEN 'active' ELSE status END
+      WHERE id = ?
+    `
+    ).run(newIndex, today, session.id);
+    logInfo(`진행 상황 업데이트: 그룹 ${chatId}, ${newIndex}`);
+  }
+}
+
+/**
+ * 그룹의 모든 데이터 완전 초기화 (통계 포함)
+ * 주의: 해당 그룹의 모든 완독 기록과 통계, 전송 기록이 삭제되고 대기 중인 예약 작업은 취소됩니다!
+ * 삭제한 테이블별 행 수는 관리자 작업 기록에 함께 저장됩니다.
+ * @param {number} chatId - 텔레그램 그룹 Chat ID
+ * @param {Object} admin - 초기화를 실행한 관리자 (텔레그램 사용자 객체)
+ * @param {number} newIndex - 새 세션의 시작 인덱스
+ * @returns {Object|null} 테이블별 삭제한 행 수 (jobs는 취소한 작업 수, 실패 시 null)
+ */
+export function hardResetAllData(chatId, admin, newIndex = 0) {
+  try {
+    logInfo(`⚠️  전체 데이터 초기화 시작... (그룹 ${chatId})`);
+
+    const previousSession = getCurrentSession(chatId);
+    const deleted = {};
+
+    // 트랜잭션으로 안전하게 처리
+    const deleteAll = db.transaction(() => {
+      // 그룹의 모든 테이블 데이터 삭제 (세션은 삭제 후 새로 생성)
+      for (const table of [
+        "completions",
+        "daily_stats",
+        "monthly_stats",
+        "overall_stats",
+        "send_log",
+        "reading_posts",
+        "sessions",
+      ]) {
+        deleted[table] = db
+          .prepare(`DELETE FROM ${table} WHERE chat_id = ?`)
+          .run(chatId).changes;
+      }
+
+      // 삭제된 세션을 가리키는 대기 중 예약 작업 취소
+      deleted.jobs = db
+        .prepare(
+          `
+        UPDATE jobs SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP
+        WHERE status = 'pending' AND json_extract(payload, '$.chatId') = ?
+      `
+        )
+        .run(chatId).changes;
+
+      startSession(chatId, { startIndex: newIndex });
+
+      writeAuditLog(chatId, admin, "hardreset", {
+        before: previousSession
+          ? { sessionId: previousSession.id, currentIndex: previousSession.current_index }
+          : null,
+        after: { currentIndex: newIndex },
+        details: { deleted },
+      });
+
+      logInfo("✅ 모든 테이블 데이터 삭제 완료", deleted);
+    });
+
+    deleteAll();
+
+    logInfo(`✅ 전체 데이터 초기화 완료 (그룹 ${chatId}, 시작 인덱스: ${newIndex})`);
+    return deleted;
+  } catch (error) {
+    logError("전체 데이터 초기화 실패", error);
+    return null;
+  }
+}
+
+// ==================== 참여자 관리 ====================
+
+/**
+ * 참여자 정보 갱신 (그룹에서 메시지를 보낼 때마다 호출)
+ * 이름이 바뀌면 이력을 남기고, 나갔던 참여자는 다시 참여 중으로 변경합니다.
+ * @param {number} chatId - 텔레그램 그룹 Chat ID
+ * @param {Object} user - 텔레그램 사용자 { id, username, first_name, last_name }
+ * @param {Object} options - { joined } 그룹 입장 메시지이면 참여일을 오늘로 갱신
+ */
+export function upsertParticipant(chatId, user, { joined = false } = {}) {
+  const username = user.username || null;
+  const firstName = user.first_name || null;
+  const lastName = user.last_name || null;
+  const isBot = user.is_bot ? 1 : 0;
+  const today = getTodayDate();
+
+  const upsert = db.transaction(() => {
+    const existing = getParticipant(chatId, user.id);
+
+    if (!existing) {
+      db.prepare(
+        `
+        INSERT INTO participants
+        (chat_id, user_id, username, first_name, last_name, is_bot, joined_at, last_seen_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      `
+      ).run(chatId, user.id, username, firstName, lastName, isBot, today);
+    } else {
+      db.prepare(
+        `
+        UPDATE participants
+        SET username = ?, first_name = ?, last_name = ?, is_bot = ?, left_at = NULL,
+          joined_at = CASE WHEN ? THEN ? ELSE joined_at END,
+          last_seen_at = CURRENT_TIMESTAMP
+        WHERE chat_id = ? AND user_id = ?
+      `
+      ).run(
+        username,
+        firstName,
+        lastName,
+        isBot,
+        joined ? 1 : 0,
+        today,
+        chatId,
+        user.id
+      );
+    }
+
+    const nameChanged =
+      !existing ||
+      existing.username !== username ||
+      existing.first_name !== firstName ||
+      existing.last_name !== lastName;
+
+    if (nameChanged) {
+      db.prepare(
+        `
+        INSERT INTO participant_names (chat_id, user_id, username, first_name, last_name)
+        VALUES (?, ?, ?, ?, ?)
+      `
+      ).run(chatId, user.id, username, firstName, lastName);
+
+      if (existing) {
+        logInfo(
+          `참여자 이름 변경: 그룹 ${chatId}, 사용자 ${user.id} (${
+            existing.first_name || existing.username
+          } → ${firstName || username})`
+        );
+      }
+    }
+  });
+
+  upsert();
+}
+
+/**
+ * 참여자 조회
+ */
+export function getParticipant(chatId, userId) {
+  return db
+    .prepare("SELECT * FROM participants WHERE chat_id = ? AND user_id = ?")
+    .get(chatId, userId);
+}
+
+/**
+ * 사용자명으로 참여자 조회 (@ 없이, 대소문자 구분 없음)
+ */
+export function findParticipantByUsername(chatId, username) {
+  return db
+    .prepare(
+      "SELECT * FROM participants WHERE chat_id = ? AND username = ? COLLATE NOCASE"
+    )
+    .get(chatId, username);
+}
+
+/**
+ * 그룹의 참여자 목록 조회 (현재 그룹에 있는 참여자만)
+ */
+export function getParticipants(chatId) {
+  return db
+    .prepare(
+      `
+    SELECT * FROM participants
+    WHERE chat_id = ? AND left_at IS NULL
+    ORDER BY is_bot, excluded, first_name, username
+  `
+    )
+    .all(chatId);
+}
+
+/**
+ * 참여자 탈퇴 처리 (그룹에서 나간 날짜 기록)
+ */
+export function markParticipantLeft(chatId, userId) {
+  db.prepare(
+    "UPDATE participants SET left_at = ? WHERE chat_id = ? AND user_id = ?"
+  ).run(getTodayDate(), chatId, userId);
+  logInfo(`참여자 탈퇴: 그룹 ${chatId}, 사용자 ${userId}`);
+}
+
+/**
+ * 참여자 설정 변경 (별명, 순위 숨김, 완독률 제외)
+ * 아직 등록되지 않은 참여자는 먼저 등록합니다.
+ * @param {number} chatId - 텔레그램 그룹 Chat ID
+ * @param {Object} user - 텔레그램 사용자 { id, username, first_name, last_name }
+ * @param {Object} updates - { nickname, hidden, excluded } 중 변경할 값
+ */
+export function updateParticipantSettings(chatId, user, updates) {
+  const allowed = ["nickname", "hidden", "excluded"];
+  const keys = Object.keys(updates).filter((key) => allowed.includes(key));
+
+  if (keys.length === 0) {
+    return false;
+  }
+
+  if (!getParticipant(chatId, user.id)) {
+    upsertParticipant(chatId, user);
+  }
+
+  const result = db
+    .prepare(
+      `UPDATE participants SET ${keys
+        .map((key) => `${key} = ?`)
+        .join(", ")} WHERE chat_id = ? AND user_id = ?`
+    )
+    .run(...keys.map((key) => updates[key]), chatId, user.id);
+
+  logInfo(`참여자 설정 변경: 그룹 ${chatId}, 사용자 ${user.id} ${JSON.stringify(updates)}`);
+  return result.changes > 0;
+}
+
+// ==================== 완독 기록 관리 ====================
+
+/**
+ * 완독 기록 저장 (그룹의 현재 세션에 기록)
+ * 구절 인덱스가 있으면 (session_id, user_id, reading_index), 없으면 (session_id, user_id, date)
+ * UNIQUE 인덱스로 동시에 들어온 요청도 한 번만 기록됩니다.
+ * 같은 날 구절 없이 기록된 완독(구절 전송 전의 "완독" 등)이 있으면 새로 저장하지 않고 그 기록에 구절을 연결하고,
+ * 구절 없는 완독은 그날 이미 완독 기록이 있으면 중복으로 봅니다. (한 사람이 같은 날 두 번 집계되지 않도록)
+ * 반응으로 기록한 완독을 키워드나 버튼으로 다시 완독하면 기록 방법을 바꿔 반응을 지워도 유지됩니다.
+ * @param {Object} options - { isLate, readingIndex, source } 늦은 완독 여부, 완독한 구절 인덱스,
+ *                            기록 방법 (keyword: 키워드 메시지, button: 완독 버튼, reaction: 사진 반응,
+ *                            admin: 관리자가 직접 기록)
+ * @returns {string} "created" (새 기록), "duplicate" (이미 기록됨), "failed" (저장 실패)
+ */
+export function recordCompletion(
+  chatId,
+  userId,
+  username,
+  firstName,
+  date = getTodayDate(),
+  { isLate = false, readingIndex = null, source = "keyword" } = {}
+) {
+  try {
+    const sessionId = getCurrentSessionId(chatId);
+    const target = readingIndex ? `구절 ${readingIndex}` : `날짜 ${date}`;
+
+    // 반응으로 기록한 완독을 다른 방법으로 다시 완독하면 기록 방법을 바꿔,
+    // 반응을 지워도 완독이 취소되지 않도록 함
+    const claimReactionCompletion = (condition, ...params) => {
+      if (source !== "reaction") {
+        db.prepare(
+          `UPDATE completions SET source = ? WHERE ${condition} AND source = 'reaction'`
+        ).run(source, ...params);
+      }
+      return "duplicate";
+    };
+
+    const record = db.transaction(() => {
+      if (readingIndex) {
+        const existing = getReadingCompletion(chatId, userId, readingIndex, sessionId);
+        if (existing) {
+          return claimReactionCompletion("id = ?", existing.id);
+        }
+        const linked = db
+          .prepare(
+            `
+          UPDATE completions SET reading_index = ?
+          WHERE id = (
+            SELECT id FROM completions
+            WHERE session_id = ? AND user_id = ? AND date = ? AND reading_index IS NULL
+            LIMIT 1
+          )
+        `
+          )
+          .run(readingIndex, sessionId, userId, date);
+        if (linked.changes > 0) {
+          return "linked";
+        }
+      } else if (
+        db
+          .prepare(
+            "SELECT 1 FROM completions WHERE session_id = ? AND user_id = ? AND date = ? LIMIT 1"
+          )
+          .get(sessionId, userId, date)
+      ) {
+        return claimReactionCompletion(
+          "session_id = ? AND user_id = ? AND date = ?",
+          sessionId,
+          userId,
+          date
+        );
+      }
+
+      const result = db
+        .prepare(
+          `
+        INSERT INTO completions
+        (chat_id, session_id, user_id, username, first_name, date, is_late, reading_index, source)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT DO NOTHING
+      `
+        )
+        .run(
+          chatId,
+          sessionId,
+          userId,
+          username,
+          firstName,
+          date,
+          isLate ? 1 : 0,
+          readingIndex,
+          source
+        );
+      return result.changes > 0 ? "created" : "duplicate";
+    });
+
+    const outcome = record();
+    if (outcome === "duplicate") {
+      logInfo(`이미 완독 기록이 있습니다: 사용자 ${userId}, ${target}`);
+      return "duplicate";
+    }
+    if (outcome === "linked") {
+      // 완독한 사람 수는 그대로이고 구절 완독(버튼 숫자 등)에만 반영됨
+      logInfo(`기존 완독 기록에 구절 연결: 사용자 ${username || userId}, ${target}, 날짜 ${date}`);
+      return "created";
+    }
+
+    logInfo(
+      `완독 기록 저장: 사용자 ${username || userId}, ${target}${isLate ? " (늦은 완독)" : ""}`
+    );
+    return "created";
+  } catch (error) {
+    logError("완독 기록 저장 실패", error);
+    return "failed";
+  }
+}
+
+/**
+ * 구절 완독 기록 삭제 (완독 버튼 취소 등, 기본: 현재 세션)
+ * @returns {Object|null} 삭제한 기록 (기록이 없으면 null)
+ */
+export function removeCompletion(
+  chatId,
+  userId,
+  readingIndex,
+  sessionId = getCurrentSessionId(chatId)
+) {
+  const completion = getReadingCompletion(chatId, userId, readingIndex, sessionId);
+
+  if (!completion) {
+    return null;
+  }
+
+  db.prepare("DELETE FROM completions WHERE id = ?").run(completion.id);
+  logInfo(`완독 기록 삭제: 사용자 ${userId}, 구절 ${readingIndex}, 날짜 ${completion.date}`);
+  return completion;
+}
+
+/**
+ * 특정 사용자의 날짜별 완독 기록 삭제 (기본: 현재 세션)
+ * 같은 날 여러 구절을 완독했으면 모두 삭제합니다.
+ * @returns {Array} 삭제한 완독 기록
+ */
+export function removeCompletionsByDate(
+  chatId,
+  userId,
+  date,
+  sessionId = getCurrentSessionId(chatId)
+) {
+  const completions = db
+    .prepare("SELECT * FROM completions WHERE session_id = ? AND user_id = ? AND date = ?")
+    .all(sessionId, userId, date);
+
+  if (completions.length > 0) {
+    db.prepare(
+      "DELETE FROM completions WHERE session_id = ? AND user_id = ? AND date = ?"
+    ).run(sessionId, userId, date);
+    logInfo(`완독 기록 삭제: 사용자 ${userId}, 날짜 ${date}, ${completions.length}건`);
+  }
+  return completions;
+}
+
+/**
+ * 특정 사용자의 기간별 완독 기록 조회 (기본: 현재 세션)
+ * @param {string} fromDate - 시작 날짜 (YYYY-MM-DD)
+ * @param {string} toDate - 종료 날짜 (YYYY-MM-DD)
+ * @returns {Array} 완독 기록 (날짜, 구절 순)
+ */
+export function getUserCompletions(
+  chatId,
+  userId,
+  fromDate,
+  toDate,
+  sessionId = getCurrentSessionId(chatId)
+) {
+  return db
+    .prepare(
+      `
+    SELECT * FROM completions
+    WHERE session_id = ? AND user_id = ? AND date BETWEEN ? AND ?
+    ORDER BY date, reading_index
+  `
+    )
+    .all(sessionId, userId, fromDate, toDate);
+}
+
+/**
+ * 특정 사용자의 구절 완독 기록 조회 (기본: 현재 세션)
+ */
+export function getReadingCompletion(
+  chatId,
+  userId,
+  readingIndex,
+  sessionId = getCurrentSessionId(chatId)
+) {
+  return db
+    .prepare(
+      "SELECT * FROM completions WHERE session_id = ? AND user_id = ? AND reading_index = ?"
+    )
+    .get(sessionId, userId, readingIndex);
+}
+
+/**
+ * 특정 구절의 완독자 수 조회 (완독 버튼 표시용, 기본: 현재 세션)
+ */
+export function getReadingCompletionCount(
+  chatId,
+  readingIndex,
+  sessionId = getCurrentSessionId(chatId)
+) {
+  const result = db
+    .prepare(
+      "SELECT COUNT(DISTINCT user_id) as count FROM completions WHERE session_id = ? AND reading_index = ?"
+    )
+    .get(sessionId, readingIndex);
+  return result ? result.count : 0;
+}
+
+/**
+ * 특정 날짜의 완독자 수 조회 (기본: 현재 세션)
+ */
+export function getCompletionCount(
+  chatId,
+  date,
+  sessionId = getCurrentSessionId(chatId)
+) {
+  const result = db
+    .prepare(
+      "SELECT COUNT(DISTINCT user_id) as count FROM completions WHERE session_id = ? AND date = ?"
+    )
+    .get(sessionId, date);
+  return result ? result.count : 0;
+}
+
+/**
+ * 특정 날짜의 완독자 목록 조회 (기본: 현재 세션, 같은 날 여러 구절을 완독했으면 첫 기록만)
+ */
+export function getCompletionsByDate(
+  chatId,
+  date,
+  sessionId = getCurrentSessionId(chatId)
+) {
+  return db
+    .prepare(
+      `
+    SELECT * FROM completions
+    WHERE id IN (
+      SELECT MIN(id) FROM completions WHERE session_id = ? AND date = ? GROUP BY user_id
+    )
+    ORDER BY completed_at
+  `
+    )
+    .all(sessionId, date);
+}
+
+/**
+ * 상위 참여자 조회 (완독 횟수 순, 기본: 현재 세션)
+ * 이름은 참여자 목록에서 가져오며, 순위 숨김을 선택한 참여자는 제외됩니다.
+ */
+export function getTopParticipants(
+  chatId,
+  limit = 5,
+  sessionId = getCurrentSessionId(chatId)
+) {
+  return db
+    .prepare(
+      `
+    SELECT 
+      c.user_id,
+      COALESCE(p.username, c.username) as username,
+      COALESCE(p.first_name, c.first_name) as first_name,
+      p.nickname,
+      COUNT(*) as count
+    FROM completions c
+    LEFT JOIN participants p ON p.chat_id = c.chat_id AND p.user_id = c.user_id
+    WHERE c.session_id = ? AND COALESCE(p.hidden, 0) = 0
+    GROUP BY c.user_id
+    ORDER BY count DESC
+    LIMIT ?
+  `
+    )
+    .all(sessionId, limit);
+}
+
+/**
+ * 특정 사용자의 완독 횟수 조회 (기본: 현재 세션)
+ */
+export function getUserCompletionCount(
+  chatId,
+  userId,
+  sessionId = getCurrentSessionId(chatId)
+) {
+  const result = db
+    .prepare(
+      "SELECT COUNT(*) as count FROM completions WHERE session_id = ? AND user_id = ?"
+    )
+    .get(sessionId, userId);
+  return result ? result.count : 0;
+}
+
+/**
+ * 특정 사용자가 완독한 날짜 목록 (오래된 순, 세션 구분 없이 그룹 전체)
+ * 연속 통독 계산에 사용됩니다.
+ */
+export function getUserCompletionDates(chatId, userId) {
+  return db
+    .prepare(
+      "SELECT DISTINCT date FROM completions WHERE chat_id = ? AND user_id = ? ORDER BY date"
+    )
+    .all(chatId, userId)
+    .map((row) => row.date);
+}
+
+/**
+ * 특정 사용자가 아직 완독하지 않은 구절 목록 (기본: 현재 세션)
+ * 세션에서 지금까지 진행한 구절 중 완독 기록도, 건너뜀(/skip) 기록도 없는 구절입니다.
+ * 전송 기록(send_log)이 생기기 전에 보낸 구절은 구절 번호가 없는 완독만 남아 있어
+ * 확인할 수 없으므로, 세션에서 처음 전송 기록이 있는 구절부터 확인합니다.
+ * @returns {Array<number>} 구절 인덱스 (오름차순)
+ */
+export function getMissingReadings(
+  chatId,
+  userId,
+  sessionId = getCurrentSessionId(chatId)
+) {
+  const session = getSession(sessionId);
+  if (!session) {
+    return [];
+  }
+
+  const skipped = db
+    .prepare(
+      `
+    SELECT DISTINCT reading_index FROM send_log
+    WHERE session_id = ? AND status = 'skipped' AND reading_index IS NOT NULL
+  `
+    )
+    .all(sessionId)
+    .map((row) => row.reading_index);
+  const completed = db
+    .prepare(
+      `
+    SELECT DISTINCT reading_index FROM completions
+    WHERE session_id = ? AND user_id = ? AND reading_index IS NOT NULL
+  `
+    )
+    .all(sessionId, userId)
+    .map((row) => row.reading_index);
+  const done = new Set([...skipped, ...completed]);
+
+  const firstTracked = db
+    .prepare(
+      "SELECT MIN(reading_index) as reading_index FROM send_log WHERE session_id = ?"
+    )
+    .get(sessionId).reading_index;
+  if (firstTracked === null) {
+    return [];
+  }
+
+  const missing = [];
+  const firstIndex = Math.max((session.start_index ?? 0) + 1, firstTracked);
+  for (let index = firstIndex; index <= session.current_index; index++) {
+    if (!done.has(index)) {
+      missing.push(index);
+    }
+  }
+  return missing;
+}
+
+/**
+ * 특정 날짜의 통독 참여자 수 (완독률 분모)
+ * 봇과 제외된 사용자를 빼고, 그 전날까지 참여해 아직 나가지 않은 사람과
+ * 그날 완독한 사람을 셉니다. (그날 들어온 사람은 완독한 경우에만 포함)
+ */
+export function getEnrolledReaderCount(
+  chatId,
+  date,
+  sessionId = getCurrentSessionId(chatId)
+) {
+  const result = db
+    .prepare(
+      `
+    SELECT COUNT(*) as count FROM participants p
+    WHERE p.chat_id = ? AND p.is_bot = 0 AND p.excluded = 0
+      AND (
+        (p.joined_at < ? AND (p.left_at IS NULL OR p.left_at > ?))
+        OR EXISTS (
+          SELECT 1 FROM completions c
+          WHERE c.session_id = ? AND c.user_id = p.user_id AND c.date = ?
+        )
+      )
+  `
+    )
+    .get(chatId, date, date, sessionId, date);
+  return result ? result.count : 0;
+}
+
+/**
+ * 특정 날짜에 완독한 통독 참여자 수 (완독률 분자, 봇과 제외된 사용자 제외)
+ */
+export function getEnrolledCompletionCount(
+  chatId,
+  date,
+  sessionId = getCurrentSessionId(chatId)
+) {
+  const result = db
+    .prepare(
+      `
+    SELECT COUNT(DISTINCT c.user_id) as count FROM completions c
+    LEFT JOIN participants p ON p.chat_id = c.chat_id AND p.user_id = c.user_id
+    WHERE c.session_id = ? AND c.date = ?
+      AND COALESCE(p.is_bot, 0) = 0 AND COALESCE(p.excluded, 0) = 0
+  `
+    )
+    .get(sessionId, date);
+  return result ? result.count : 0;
+}
+
+// ==================== 일일 통계 관리 ====================
+
+/**
+ * 일일 통계 저장 (기본: 현재 세션)
+ * @param {number} totalMembers - 통독 참여자 수 (완독률 분모)
+ * @param {number|null} rawMembers - getChatMembersCount 원본 값 (조회 실패 시 null)
+ */
+export function saveDailyStats(
+  chatId,
+  date,
+  totalMembers,
+  completedCount,
+  completionRate,
+  rawMembers = null,
+  sessionId = getCurrentSessionId(chatId)
+) {
+  try {
+    db.prepare(
+      `
+      INSERT OR REPLACE INTO daily_stats
+      (chat_id, session_id, date, total_members, raw_members, completed_count, completion_rate)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `
+    ).run(
+      chatId,
+      sessionId,
+      date,
+      totalMembers,
+      rawMembers,
+      completedCount,
+      completionRate
+    );
+
+    logInfo(`일일 통계 저장: 그룹 ${chatId}, ${date}, 완독률 ${completionRate}%`);
+    return true;
+  } catch (error) {
+    logError("일일 통계 저장 실패", error);
+    return false;
+  }
+}
+
+/**
+ * 이미 저장된 일일 통계를 완독 기록 기준으로 다시 계산 (늦은 완독 반영)
+ * 해당 날짜의 통계가 없으면 (아직 일일 보고 전) 아무것도 하지 않으며,
+ * 그 달의 월간 통계가 이미 저장되어 있으면 함께 다시 계산합니다.
+ * @returns {boolean} 통계를 다시 계산했는지 여부
+ */
+export function refreshDailyStats(
+  chatId,
+  date,
+  sessionId = getCurrentSessionId(chatId)
+) {
+  if (!getDailyStats(chatId, date, sessionId)) {
+    return false;
+  }
+
+  const totalMembers = getEnrolledReaderCount(chatId, date, sessionId);
+  const completedCount = getEnrolledCompletionCount(chatId, date, sessionId);
+  const completionRate =
+    totalMembers > 0 ? ((completedCount / totalMembers) * 100).toFixed(1) : 0;
+  const { count: lateCount } = db
+    .prepare(
+      `
+    SELECT COUNT(DISTINCT c.user_id) as count FROM completions c
+    LEFT JOIN participants p ON p.chat_id = c.chat_id AND p.user_id = c.user_id
+    WHERE c.session_id = ? AND c.date = ? AND c.is_late = 1
+      AND COALESCE(p.is_bot, 0) = 0 AND COALESCE(p.excluded, 0) = 0
+  `
+    )
+    .get(sessionId, date);
+
+  db.prepare(
+    `
+    UPDATE daily_stats
+    SET total_members = ?, completed_count = ?, completion_rate = ?, late_count = ?
+    WHERE session_id = ? AND date = ?
+  `
+  ).run(totalMembers, completedCount, completionRate, lateCount, sessionId, date);
+
+  const [year, month] = date.split("-").map(Number);
+  if (getMonthlyStats(chatId, year, month)) {
+    const monthlyStats = calculateMonthlyStats(chatId, year, month, sessionId);
+    if (monthlyStats) {
+      saveMonthlyStats(chatId, year, month, monthlyStats);
+    }
+  }
+
+  logInfo(
+    `일일 통계 다시 계산: 그룹 ${chatId}, ${date}, 완독률 ${completionRate}% (늦은 완독 ${lateCount}명)`
+  );
+  return true;
+}
+
+/**
+ * 특정 날짜의 통계 조회 (기본: 현재 세션)
+ */
+export function getDailyStats(chatId, date, sessionId = getCurrentSessionId(chatId)) {
+  return db
+    .prepare("SELECT * FROM daily_stats WHERE session_id = ? AND date = ?")
+    .get(sessionId, date);
+}
+
+/**
+ * 최근 N일의 통계 조회 (기본: 현재 세션)
+ */
+export function getRecentDailyStats(
+  chatId,
+  days = 7,
+  sessionId = getCurrentSessionId(chatId)
+) {
+  return db
+    .prepare(
+      `
+    SELECT * FROM daily_stats 
+    WHERE session_id = ?
+    ORDER BY date DESC 
+    LIMIT ?
+  `
+    )
+    .all(sessionId, days);
+}
+
+/**
+ * 전체 일일 통계 조회 (기본: 현재 세션)
+ */
+export function getAllDailyStats(chatId, sessionId = getCurrentSessionId(chatId)) {
+  return db
+    .prepare("SELECT * FROM daily_stats WHERE session_id = ? ORDER BY date")
+    .all(sessionId);
+}
+
+/**
+ * 세션 통계 요약 (일일 통계 기준)
+ * @param {number} sessionId - 세션 ID
+ * @param {number|null} days - 앞에서부터 N일만 집계 (세션 비교용, 기본: 전체)
+ * @returns {Object} { reading_days, total_completions, average_rate, participants }
+ */
+export function getSessionStats(sessionId, days = null) {
+  const stats = db
+    .prepare(
+      `
+    SELECT 
+      COUNT(*) as reading_days,
+      SUM(completed_count) as total_completions,
+      SUM(late_count) as late_completions,
+      AVG(completion_rate) as average_rate,
+      MAX(date) as last_date
+    FROM (
+      SELECT * FROM daily_stats WHERE session_id = ? ORDER BY date LIMIT ?
+    )
+  `
+    )
+    .get(sessionId, days ?? -1);
+
+  // 집계 기간 안에 완독한 참여자 수
+  const { participants } = db
+    .prepare(
+      `
+    SELECT COUNT(DISTINCT user_id) as participants FROM completions
+    WHERE session_id = ? AND date <= ?
+  `
+    )
+    .get(sessionId, days ? stats.last_date : "9999-12-31");
+
+  return {
+    reading_days: stats.reading_days,
+    total_completions: stats.total_completions || 0,
+    late_completions: stats.late_completions || 0,
+    average_rate: stats.average_rate
+      ? parseFloat(stats.average_rate.toFixed(1))
+      : 0,
+    participants,
+  };
+}
+
+// ==================== 월간 통계 관리 ====================
+
+/**
+ * 월간 통계 계산 (기본: 현재 세션)
+ */
+export function calculateMonthlyStats(
+  chatId,
+  year,
+  month,
+  sessionId = getCurrentSessionId(chatId)
+) {
+  const startDate = `${year}-${String(month).padStart(2, "0")}-01`;
+  const endDate =
+    month === 12
+      ? `${year + 1}-01-01`
+      : `${year}-${String(month + 1).padStart(2, "0")}-01`;
+
+  const stats = db
+    .prepare(
+      `
+    SELECT 
+      COUNT(*) as reading_days,
+      SUM(completed_count) as total_completions,
+      AVG(completion_rate) as average_rate
+    FROM daily_stats
+    WHERE session_id = ? AND date >= ? AND date < ?
+  `
+    )
+    .get(sessionId, startDate, endDate);
+
+  if (!stats || stats.reading_days === 0) {
+    return null;
+  }
+
+  // 해당 월의 총 일수 계산
+  const daysInMonth = new Date(year, month, 0).getDate();
+
+  return {
+    reading_days: stats.reading_days,
+    total_days: daysInMonth,
+    total_completions: stats.total_completions || 0,
+    average_rate: stats.average_rate
+      ? parseFloat(stats.average_rate.toFixed(1))
+      : 0,
+  };
+}
+
+/**
+ * 월간 통계 저장
+ */
+export function saveMonthlyStats(chatId, year, month, stats) {
+  try {
+    db.prepare(
+      `
+      INSERT OR REPLACE INTO monthly_stats 
+      (chat_id, year, month, total_days, reading_days, total_completions, average_rate)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `
+    ).run(
+      chatId,
+      year,
+      month,
+      stats.total_days,
+      stats.reading_days,
+      stats.total_completions,
+      stats.average_rate
+    );
+
+    logInfo(`월간 통계 저장: 그룹 ${chatId}, ${year}년 ${month}월`);
+    return true;
+  } catch (error) {
+    logError("월간 통계 저장 실패", error);
+    return false;
+  }
+}
 
-// 데이터베이스 경로
-const dbPath = join(__dirname, "..", "data", "bible_reading.db");
+/**
+ * 월간 통계 조회
+ */
+export function getMonthlyStats(chatId, year, month) {
+  return db
+    .prepare(
+      "SELECT * FROM monthly_stats WHERE chat_id = ? AND year = ? AND month = ?"
+    )
+    .get(chatId, year, month);
+}
 
-// data 디렉토리 생성
-const dataDir = join(__dirname, "..", "data");
-if (!existsSync(dataDir)) {
-  mkdirSync(dataDir, { recursive: true });
+/**
+ * 전체 월간 통계 조회
+ */
+export function getAllMonthlyStats(chatId) {
+  return db
+    .prepare("SELECT * FROM monthly_stats WHERE chat_id = ? ORDER BY year, month")
+    .all(chatId);
 }
 
-// 데이터베이스 연결
-const db = new Database(dbPath);
-db.pragma("journal_mode = WAL"); // 성능 향상
+// ==================== 전체 통독 통계 관리 ====================
 
 /**
- * 데이터베이스 초기화 - 테이블 생성
+ * 전체 통독 통계 저장
  */
-export function initializeDatabase() {
-  logInfo("데이터베이스 초기화 시작...");
-
-  // 진행 상황 추적 테이블 (각 레코드 = 하나의 통독 세션)
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS progress (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      current_index INTEGER DEFAULT 0,
-      last_sent_date TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // 완독 기록 테이블
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS completions (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      username TEXT,
-      first_name TEXT,
-      date TEXT NOT NULL,
-      completed_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // 일일 통계 테이블
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS daily_stats (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      date TEXT UNIQUE NOT NULL,
-      total_members INTEGER,
-      completed_count INTEGER,
-      completion_rate REAL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // 월간 통계 테이블
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS monthly_stats (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      year INTEGER NOT NULL,
-      month INTEGER NOT NULL,
-      total_days INTEGER,
-      reading_days INTEGER,
-      total_completions INTEGER,
-      average_rate REAL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(year, month)
-    )
-  `);
-
-  // 전체 통독 기록 테이블
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS overall_stats (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      start_date TEXT,
-      end_date TEXT,
-      total_days INTEGER,
-      total_readings INTEGER,
-      total_completions INTEGER,
-      average_rate REAL,
-      top_participants TEXT,
-      completed_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // 초기 진행 상황 레코드 생성 (없으면)
-  const progressExists = db
-    .prepare("SELECT COUNT(*) as count FROM progress")
-    .get();
-  if (progressExists.count === 0) {
-    const startIndex = config.startIndex || 0;
+export function saveOverallStats(chatId, stats) {
+  try {
     db.prepare(
-      "INSERT INTO progress (current_index, last_sent_date) VALUES (?, NULL)"
-    ).run(startIndex);
-    logInfo(`초기 진행 상황 레코드 생성 완료 (시작 인덱스: ${startIndex})`);
-  }
+      `
+      INSERT INTO overall_stats 
+      (chat_id, session_id, start_date, end_date, total_days, total_readings, total_completions, average_rate, top_participants)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `
+    ).run(
+      chatId,
+      stats.session_id,
+      stats.start_date,
+      stats.end_date,
+      stats.total_days,
+      stats.total_readings,
+      stats.total_completions,
+      stats.average_rate,
+      stats.top_participants
+    );
 
-  logInfo("데이터베이스 초기화 완료");
+    logInfo("전체 통독 통계 저장 완료");
+    return true;
+  } catch (error) {
+    logError("전체 통독 통계 저장 실패", error);
+    return false;
+  }
 }
 
-// ==================== 진행 상황 관리 ====================
-
 /**
- * 현재 진행 상황 조회 (최신 세션)
+ * 가장 최근 전체 통독 통계 조회
  */
-export function getProgress() {
-  return db.prepare("SELECT * FROM progress ORDER BY id DESC LIMIT 1").get();
+export function getLatestOverallStats(chatId) {
+  return db
+    .prepare(
+      "SELECT * FROM overall_stats WHERE chat_id = ? ORDER BY id DESC LIMIT 1"
+    )
+    .get(chatId);
 }
 
 /**
- * 현재 인덱스 조회
+ * 전체 통독 통계 목록 조회
  */
-export function getCurrentIndex() {
-  const progress = getProgress();
-  return progress ? progress.current_index : 0;
+export function getAllOverallStats(chatId) {
+  return db
+    .prepare(
+      "SELECT * FROM overall_stats WHERE chat_id = ? ORDER BY completed_at DESC"
+    )
+    .all(chatId);
 }
 
+// ==================== 휴독일 관리 ====================
+
 /**
- * 진행 상황 업데이트 (최신 세션)
+ * 그룹 휴독일 추가 (이미 있으면 사유만 갱신)
  */
-export function updateProgress(newIndex) {
-  const today = getTodayDate();
-  const currentProgress = getProgress();
-  if (currentProgress) {
+export function addRestDay(chatId, date, reason = null) {
+  try {
     db.prepare(
-      "UPDATE progress SET current_index = ?, last_sent_date = ? WHERE id = ?"
-    ).run(newIndex, today, currentProgress.id);
-    logInfo(`진행 상황 업데이트: ${newIndex}`);
+      `
+      INSERT INTO rest_days (chat_id, date, reason) VALUES (?, ?, ?)
+      ON CONFLICT(chat_id, date) DO UPDATE SET reason = excluded.reason
+    `
+    ).run(chatId, date, reason);
+
+    logInfo(`휴독일 추가: 그룹 ${chatId}, ${date}${reason ? ` (${reason})` : ""}`);
+    return true;
+  } catch (error) {
+    logError("휴독일 추가 실패", error);
+    return false;
   }
 }
 
 /**
- * 진행 상황 초기화 (새로운 세션 생성)
+ * 그룹 휴독일 삭제
  */
-export function resetProgress(newIndex = 0) {
-  db.prepare(
-    "INSERT INTO progress (current_index, last_sent_date) VALUES (?, NULL)"
-  ).run(newIndex);
-  logInfo(`새로운 통독 세션 시작: 인덱스 ${newIndex}`);
-  return db.prepare("SELECT last_insert_rowid() as id").get().id;
+export function removeRestDay(chatId, date) {
+  const result = db
+    .prepare("DELETE FROM rest_days WHERE chat_id = ? AND date = ?")
+    .run(chatId, date);
+
+  if (result.changes > 0) {
+    logInfo(`휴독일 삭제: 그룹 ${chatId}, ${date}`);
+  }
+  return result.changes > 0;
 }
 
 /**
- * 모든 데이터 완전 초기화 (통계 포함)
- * 주의: 모든 완독 기록과 통계가 삭제됩니다!
+ * 특정 날짜가 그룹의 휴독일인지 확인
  */
-export function hardResetAllData(newIndex = 0) {
-  try {
-    logInfo("⚠️  전체 데이터 초기화 시작...");
-
-    // 트랜잭션으로 안전하게 처리
-    const deleteAll = db.transaction(() => {
-      // 모든 테이블 데이터 삭제
-      db.prepare("DELETE FROM completions").run();
-      db.prepare("DELETE FROM daily_stats").run();
-      db.prepare("DELETE FROM monthly_stats").run();
-      db.prepare("DELETE FROM overall_stats").run();
-
-      // 모든 progress 레코드 삭제 후 새로 생성
-      db.prepare("DELETE FROM progress").run();
-      db.prepare(
-        "INSERT INTO progress (current_index, last_sent_date) VALUES (?, NULL)"
-      ).run(newIndex);
-
-      logInfo("✅ 모든 테이블 데이터 삭제 완료");
-    });
-
-    deleteAll();
+export function isRestDay(chatId, date) {
+  return !!db
+    .prepare("SELECT 1 FROM rest_days WHERE chat_id = ? AND date = ?")
+    .get(chatId, date);
+}
 
-    logInfo(`✅ 전체 데이터 초기화 완료 (시작 인덱스: ${newIndex})`);
-    return true;
-  } catch (error) {
-    logError("전체 데이터 초기화 실패", error);
-    return false;
+/**
+ * 그룹 휴독일 목록 조회 (fromDate 이후, 지정하지 않으면 전체)
+ */
+export function getRestDays(chatId, fromDate = null) {
+  if (fromDate) {
+    return db
+      .prepare("SELECT * FROM rest_days WHERE chat_id = ? AND date >= ? ORDER BY date")
+      .all(chatId, fromDate);
   }
+  return db
+    .prepare("SELECT * FROM rest_days WHERE chat_id = ? ORDER BY date")
+    .all(chatId);
 }
 
-// ==================== 완독 기록 관리 ====================
+/**
+ * fromDate 이후 가장 가까운 그룹 휴독일 조회
+ */
+export function getNextRestDay(chatId, fromDate) {
+  return db
+    .prepare("SELECT * FROM rest_days WHERE chat_id = ? AND date >= ? ORDER BY date LIMIT 1")
+    .get(chatId, fromDate);
+}
+
+// ==================== 전송 기록 관리 ====================
 
 /**
- * 완독 기록 저장
+ * 전송 결정 기록
+ * status: sent(정상 전송), late(늦은 전송), skipped(누락 건너뜀, /skip으로 건너뛴 구절은 reading_index 포함),
+ *         postponed(누락분을 늦게 보내고 남은 날, 구절은 다음 일정으로 미룸),
+ *         failed(전송 실패), retry_scheduled(재시도 예약), gave_up(재시도 포기)
+ * @param {string} readingDate - 구절의 통독일 (누락분을 늦게 보낸 경우 원래 날짜, 기본: date)
  */
-export function recordCompletion(
-  userId,
-  username,
-  firstName,
-  date = getTodayDate()
+export function recordSendLog(
+  chatId,
+  date,
+  readingIndex,
+  status,
+  detail = null,
+  readingDate = date
 ) {
   try {
-    // 중복 체크
-    const existing = db
-      .prepare("SELECT id FROM completions WHERE user_id = ? AND date = ?")
-      .get(userId, date);
-
-    if (existing) {
-      logInfo(`이미 완독 기록이 있습니다: 사용자 ${userId}, 날짜 ${date}`);
-      return false;
-    }
-
-    // 새 기록 추가
     db.prepare(
-      "INSERT INTO completions (user_id, username, first_name, date) VALUES (?, ?, ?, ?)"
-    ).run(userId, username, firstName, date);
-
-    logInfo(`완독 기록 저장: 사용자 ${username || userId}, 날짜 ${date}`);
+      `
+      INSERT INTO send_log
+        (chat_id, session_id, date, reading_date, reading_index, status, detail)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `
+    ).run(chatId, getCurrentSessionId(chatId), date, readingDate, readingIndex, status, detail);
     return true;
   } catch (error) {
-    logError("완독 기록 저장 실패", error);
+    logError("전송 기록 저장 실패", error);
     return false;
   }
 }
 
 /**
- * 특정 날짜의 완독 횟수 조회
+ * 최근 전송 기록 조회
  */
-export function getCompletionCount(date) {
-  const result = db
-    .prepare("SELECT COUNT(*) as count FROM completions WHERE date = ?")
-    .get(date);
-  return result ? result.count : 0;
+export function getRecentSendLogs(chatId, limit = 10) {
+  return db
+    .prepare("SELECT * FROM send_log WHERE chat_id = ? ORDER BY id DESC LIMIT ?")
+    .all(chatId, limit);
 }
 
 /**
- * 특정 날짜의 완독자 목록 조회
+ * 특정 통독일의 구절 조회 (여러 구절을 보냈으면 마지막 구절)
+ * 누락분을 늦게 보낸 구절은 보낸 날이 아닌 원래 통독일의 구절입니다.
+ * @param {string|null} fromDate - 이 날짜 이후의 전송만 조회 (현재 세션 시작일 등)
  */
-export function getCompletionsByDate(date) {
-  return db
-    .prepare("SELECT * FROM completions WHERE date = ? ORDER BY completed_at")
-    .all(date);
+export function getReadingIndexForDate(chatId, date, fromDate = null) {
+  const result = db
+    .prepare(
+      `
+    SELECT MAX(reading_index) as reading_index FROM send_log
+    WHERE chat_id = ? AND reading_date = ? AND status IN ('sent', 'late')
+      AND (? IS NULL OR reading_date >= ?)
+  `
+    )
+    .get(chatId, date, fromDate, fromDate);
+  return result ? result.reading_index : null;
 }
 
 /**
- * 상위 참여자 조회 (완독 횟수 순, 현재 세션 기준)
+ * 특정 구절의 통독일 조회 (여러 번 전송되었으면 가장 최근 날짜)
+ * 누락분을 늦게 보낸 구절은 보낸 날이 아닌 원래 통독일을 반환합니다.
+ * @param {string|null} fromDate - 이 날짜 이후의 전송만 조회 (현재 세션 시작일 등)
  */
-export function getTopParticipants(limit = 5) {
-  const currentProgress = getProgress();
-  if (!currentProgress || !currentProgress.created_at) {
-    return db
-      .prepare(
-        `
-      SELECT 
-        user_id,
-        username,
-        first_name,
-        COUNT(*) as count
-      FROM completions
-      GROUP BY user_id
-      ORDER BY count DESC
-      LIMIT ?
-    `
-      )
-      .all(limit);
-  }
-  
-  // 현재 세션의 created_at 이후 완독 기록만 집계
-  const sessionStartDate = currentProgress.created_at.split(' ')[0];
-  return db
+export function getReadingSendDate(chatId, readingIndex, fromDate = null) {
+  const result = db
     .prepare(
       `
-    SELECT 
-      user_id,
-      username,
-      first_name,
-      COUNT(*) as count
-    FROM completions
-    WHERE date >= ?
-    GROUP BY user_id
-    ORDER BY count DESC
-    LIMIT ?
+    SELECT MAX(reading_date) as date FROM send_log
+    WHERE chat_id = ? AND reading_index = ? AND status IN ('sent', 'late')
+      AND (? IS NULL OR reading_date >= ?)
   `
     )
-    .all(sessionStartDate, limit);
+    .get(chatId, readingIndex, fromDate, fromDate);
+  return result ? result.date : null;
 }
 
 /**
- * 특정 사용자의 완독 횟수 조회 (현재 세션 기준)
+ * 처리가 끝난(전송, 건너뜀 또는 미룸) 가장 최근 날짜 조회
  */
-export function getUserCompletionCount(userId) {
-  const currentProgress = getProgress();
-  if (!currentProgress || !currentProgress.created_at) {
-    const result = db
-      .prepare("SELECT COUNT(*) as count FROM completions WHERE user_id = ?")
-      .get(userId);
-    return result ? result.count : 0;
-  }
-  
-  // 현재 세션의 created_at 이후 완독 기록만 집계
-  const sessionStartDate = currentProgress.created_at.split(' ')[0];
+export function getLastHandledSendDate(chatId) {
   const result = db
     .prepare(
-      "SELECT COUNT(*) as count FROM completions WHERE user_id = ? AND date >= ?"
+      "SELECT MAX(date) as date FROM send_log WHERE chat_id = ? AND status IN ('sent', 'late', 'skipped', 'postponed')"
     )
-    .get(userId, sessionStartDate);
-  return result ? result.count : 0;
+    .get(chatId);
+  return result ? result.date : null;
 }
 
-// ==================== 일일 통계 관리 ====================
+// ==================== 말씀 사진 메시지 관리 ====================
 
 /**
- * 일일 통계 저장
+ * 전송한 말씀 사진 메시지 저장 (반응 완독, 완독 버튼 갱신에 사용)
  */
-export function saveDailyStats(
-  date,
-  totalMembers,
-  completedCount,
-  completionRate
+export function saveReadingPost(
+  chatId,
+  messageId,
+  readingIndex,
+  date = getTodayDate(),
+  sessionId = getCurrentSessionId(chatId)
 ) {
   try {
     db.prepare(
       `
-      INSERT OR REPLACE INTO daily_stats (date, total_members, completed_count, completion_rate)
-      VALUES (?, ?, ?, ?)
+      INSERT OR IGNORE INTO reading_posts (chat_id, message_id, session_id, reading_index, date)
+      VALUES (?, ?, ?, ?, ?)
     `
-    ).run(date, totalMembers, completedCount, completionRate);
-
-    logInfo(`일일 통계 저장: ${date}, 완독률 ${completionRate}%`);
+    ).run(chatId, messageId, sessionId, readingIndex, date);
     return true;
   } catch (error) {
-    logError("일일 통계 저장 실패", error);
+    logError("말씀 사진 메시지 저장 실패", error);
     return false;
   }
 }
 
 /**
- * 특정 날짜의 통계 조회
+ * 메시지 ID로 말씀 사진 조회
  */
-export function getDailyStats(date) {
-  return db.prepare("SELECT * FROM daily_stats WHERE date = ?").get(date);
+export function getReadingPost(chatId, messageId) {
+  return db
+    .prepare("SELECT * FROM reading_posts WHERE chat_id = ? AND message_id = ?")
+    .get(chatId, messageId);
 }
 
 /**
- * 최근 N일의 통계 조회 (현재 세션 기준)
+ * 특정 구절의 가장 최근 말씀 사진 조회 (기본: 현재 세션)
  */
-export function getRecentDailyStats(days = 7) {
-  const currentProgress = getProgress();
-  if (!currentProgress || !currentProgress.created_at) {
-    return db
-      .prepare(
-        `
-      SELECT * FROM daily_stats 
-      ORDER BY date DESC 
-      LIMIT ?
-    `
-      )
-      .all(days);
-  }
-  
-  // 현재 세션의 created_at 이후 통계만 조회하되, 최근 N일로 제한
-  const sessionStartDate = currentProgress.created_at.split(' ')[0];
+export function getLatestReadingPost(
+  chatId,
+  readingIndex,
+  sessionId = getCurrentSessionId(chatId)
+) {
   return db
     .prepare(
       `
-    SELECT * FROM daily_stats 
-    WHERE date >= ?
-    ORDER BY date DESC 
-    LIMIT ?
+    SELECT * FROM reading_posts
+    WHERE chat_id = ? AND session_id = ? AND reading_index = ?
+    ORDER BY id DESC LIMIT 1
   `
     )
-    .all(sessionStartDate, days);
-}
-
-/**
- * 전체 일일 통계 조회 (현재 세션 기준)
- */
-export function getAllDailyStats() {
-  const currentProgress = getProgress();
-  if (!currentProgress || !currentProgress.created_at) {
-    return db.prepare("SELECT * FROM daily_stats ORDER BY date").all();
-  }
-  
-  // 현재 세션의 created_at 이후 통계만 조회
-  const sessionStartDate = currentProgress.created_at.split(' ')[0]; // 'YYYY-MM-DD HH:MM:SS'에서 날짜만 추출
-  return db
-    .prepare("SELECT * FROM daily_stats WHERE date >= ? ORDER BY date")
-    .all(sessionStartDate);
+    .get(chatId, sessionId, readingIndex);
 }
 
-// ==================== 월간 통계 관리 ====================
+// ==================== 텔레그램 파일 ID 캐시 ====================
 
 /**
- * 월간 통계 계산 (현재 세션 기준)
+ * 저장된 텔레그램 file_id 조회 (조회한 시각을 마지막 사용 시각으로 기록)
+ * @param {string} key - 이미지 키
+ * @param {string} etag - 이미지 ETag (파일이 바뀌면 달라짐)
+ * @returns {string|null} file_id
  */
-export function calculateMonthlyStats(year, month) {
-  const startDate = `${year}-${String(month).padStart(2, "0")}-01`;
-  const endDate =
-    month === 12
-      ? `${year + 1}-01-01`
-      : `${year}-${String(month + 1).padStart(2, "0")}-01`;
+export function getTelegramFileId(key, etag) {
+  const row = db
+    .prepare("SELECT file_id FROM telegram_files WHERE key = ? AND etag = ?")
+    .get(key, etag);
 
-  const currentProgress = getProgress();
-  const sessionStartDate = currentProgress?.created_at?.split(' ')[0];
-
-  let stats;
-  
-  if (sessionStartDate) {
-    // 현재 세션 시작일과 월간 기간의 더 늦은 날짜를 시작점으로 사용
-    const effectiveStartDate = startDate > sessionStartDate ? startDate : sessionStartDate;
-    
-    stats = db
-      .prepare(
-        `
-      SELECT 
-        COUNT(*) as reading_days,
-        SUM(completed_count) as total_completions,
-        AVG(completion_rate) as average_rate
-      FROM daily_stats
-      WHERE date >= ? AND date < ?
-    `
-      )
-      .get(effectiveStartDate, endDate);
-  } else {
-    // 세션 정보가 없으면 기존 방식대로
-    stats = db
-      .prepare(
-        `
-      SELECT 
-        COUNT(*) as reading_days,
-        SUM(completed_count) as total_completions,
-        AVG(completion_rate) as average_rate
-      FROM daily_stats
-      WHERE date >= ? AND date < ?
-    `
-      )
-      .get(startDate, endDate);
-  }
-
-  if (!stats || stats.reading_days === 0) {
+  if (!row) {
     return null;
   }
 
-  // 해당 월의 총 일수 계산
-  const daysInMonth = new Date(year, month, 0).getDate();
-
-  return {
-    reading_days: stats.reading_days,
-    total_days: daysInMonth,
-    total_completions: stats.total_completions || 0,
-    average_rate: stats.average_rate
-      ? parseFloat(stats.average_rate.toFixed(1))
-      : 0,
-  };
+  db.prepare(
+    "UPDATE telegram_files SET last_used_at = CURRENT_TIMESTAMP WHERE key = ? AND etag = ?"
+  ).run(key, etag);
+  return row.file_id;
 }
 
 /**
- * 월간 통계 저장
+ * 텔레그램 file_id 저장 (같은 키와 ETag가 있으면 교체)
  */
-export function saveMonthlyStats(year, month, stats) {
+export function saveTelegramFileId(key, etag, fileId) {
   try {
     db.prepare(
       `
-      INSERT OR REPLACE INTO monthly_stats 
-      (year, month, total_days, reading_days, total_completions, average_rate)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO telegram_files (key, etag, file_id) VALUES (?, ?, ?)
+      ON CONFLICT(key, etag) DO UPDATE SET
+        file_id = excluded.file_id,
+        created_at = CURRENT_TIMESTAMP,
+        last_used_at = CURRENT_TIMESTAMP
     `
-    ).run(
-      year,
-      month,
-      stats.total_days,
-      stats.reading_days,
-      stats.total_completions,
-      stats.average_rate
-    );
-
-    logInfo(`월간 통계 저장: ${year}년 ${month}월`);
+    ).run(key, etag, fileId);
     return true;
   } catch (error) {
-    logError("월간 통계 저장 실패", error);
+    logError("텔레그램 file_id 저장 실패", error);
     return false;
   }
 }
 
 /**
- * 월간 통계 조회
- */
-export function getMonthlyStats(year, month) {
-  return db
-    .prepare("SELECT * FROM monthly_stats WHERE year = ? AND month = ?")
-    .get(year, month);
-}
-
-/**
- * 전체 월간 통계 조회
+ * 텔레그램 file_id 삭제 (텔레그램이 file_id를 거부한 경우)
  */
-export function getAllMonthlyStats() {
-  return db.prepare("SELECT * FROM monthly_stats ORDER BY year, month").all();
+export function deleteTelegramFileId(key, etag) {
+  db.prepare("DELETE FROM telegram_files WHERE key = ? AND etag = ?").run(key, etag);
+  logInfo(`텔레그램 file_id 삭제: ${key}`);
 }
 
-// ==================== 전체 통독 통계 관리 ====================
+// ==================== 관리자 작업 기록 ====================
 
 /**
- * 전체 통독 통계 저장
+ * 관리자 작업 기록 저장
+ * before, after, details는 JSON으로 저장합니다.
+ * @param {number|null} chatId - 작업 대상 그룹 Chat ID (휴독일 등 전체 설정이면 null)
+ * @param {Object} admin - 작업한 관리자 (텔레그램 사용자 객체)
+ * @param {string} action - 실행한 명령어 (예: skip, addcompletion)
+ * @param {Object} options - { targetUserId, args, before, after, details }
+ *                            대상 사용자 ID, 명령어 인자, 변경 전/후 값, 그 밖의 작업 내용
+ * @returns {boolean} 저장 성공 여부
  */
-export function saveOverallStats(stats) {
+export function writeAuditLog(
+  chatId,
+  admin,
+  action,
+  { targetUserId = null, args = null, before = null, after = null, details = null } = {}
+) {
+  const toJson = (value) => (value === null || value === undefined ? null : JSON.stringify(value));
+
   try {
     db.prepare(
       `
-      INSERT INTO overall_stats 
-      (start_date, end_date, total_days, total_readings, total_completions, average_rate, top_participants)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO audit_log
+      (chat_id, admin_id, admin_name, action, target_user_id, args, before_value, after_value, details)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `
     ).run(
-      stats.start_date,
-      stats.end_date,
-      stats.total_days,
-      stats.total_readings,
-      stats.total_completions,
-      stats.average_rate,
-      stats.top_participants
+      chatId,
+      admin.id,
+      admin.username || admin.first_name || null,
+      action,
+      targetUserId,
+      args,
+      toJson(before),
+      toJson(after),
+      toJson(details)
     );
-
-    logInfo("전체 통독 통계 저장 완료");
     return true;
   } catch (error) {
-    logError("전체 통독 통계 저장 실패", error);
+    logError("관리자 작업 기록 저장 실패", error);
     return false;
   }
 }
 
 /**
- * 가장 최근 전체 통독 통계 조회
+ * 최근 관리자 작업 기록 조회 (그룹의 작업과 휴독일 등 전체 설정 작업)
  */
-export function getLatestOverallStats() {
+export function getRecentAuditLogs(chatId, limit = 10) {
   return db
-    .prepare("SELECT * FROM overall_stats ORDER BY id DESC LIMIT 1")
-    .get();
+    .prepare(
+      "SELECT * FROM audit_log WHERE chat_id = ? OR chat_id IS NULL ORDER BY id DESC LIMIT ?"
+    )
+    .all(chatId, limit);
 }
 
+// ==================== 예약 작업 관리 ====================
+
 /**
- * 전체 통독 통계 목록 조회
+ * 예약 작업 등록
+ * @param {string} type - 작업 종류
+ * @param {Date} runAt - 실행 시각
+ * @param {Object} payload - 작업 데이터 (선택사항)
  */
-export function getAllOverallStats() {
+export function enqueueJob(type, runAt, payload = null) {
+  const result = db
+    .prepare("INSERT INTO jobs (type, payload, run_at) VALUES (?, ?, ?)")
+    .run(type, payload ? JSON.stringify(payload) : null, runAt.toISOString());
+
+  logInfo(`예약 작업 등록: ${type} (${runAt.toISOString()})`);
+  return result.lastInsertRowid;
+}
+
+/**
+ * 실행 시각이 지난 대기 중 작업 조회
+ */
+export function getDueJobs(now = new Date()) {
+  return db
+    .prepare(
+      "SELECT * FROM jobs WHERE status = 'pending' AND run_at <= ? ORDER BY run_at"
+    )
+    .all(now.toISOString());
+}
+
+/**
+ * 대기 중인 모든 작업 조회
+ */
+export function getPendingJobs() {
   return db
-    .prepare("SELECT * FROM overall_stats ORDER BY completed_at DESC")
+    .prepare("SELECT * FROM jobs WHERE status = 'pending' ORDER BY run_at")
     .all();
 }
 
+/**
+ * 작업 완료 처리
+ */
+export function markJobDone(id) {
+  db.prepare(
+    `
+    UPDATE jobs
+    SET status = 'done', attempts = attempts + 1, completed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `
+  ).run(id);
+}
+
+/**
+ * 작업 실패 처리 (retryAt이 있으면 다시 대기 상태로 예약)
+ */
+export function markJobFailed(id, errorMessage, retryAt = null) {
+  if (retryAt) {
+    db.prepare(
+      `
+      UPDATE jobs
+      SET attempts = attempts + 1, last_error = ?, run_at = ?
+      WHERE id = ?
+    `
+    ).run(errorMessage, retryAt.toISOString(), id);
+    return;
+  }
+
+  db.prepare(
+    `
+    UPDATE jobs
+    SET status = 'failed', attempts = attempts + 1, last_error = ?, completed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `
+  ).run(errorMessage, id);
+}
+
 // ==================== 유틸리티 ====================
 
 /**
@@ -561,23 +1734,51 @@ export function getDatabase() {
 }
 
 // 초기화 실행
-initializeDatabase();
+await initializeDatabase();
 
 export default {
   initializeDatabase,
-  getProgress,
+  createGroup,
+  getGroup,
+  getActiveGroups,
+  getAllGroups,
+  updateGroup,
+  getCurrentSession,
+  getCurrentSessionId,
+  getSession,
+  getSessions,
+  startSession,
+  updateSession,
+  completeSession,
   getCurrentIndex,
   updateProgress,
-  resetProgress,
+  hardResetAllData,
+  upsertParticipant,
+  getParticipant,
+  findParticipantByUsername,
+  getParticipants,
+  markParticipantLeft,
+  updateParticipantSettings,
   recordCompletion,
+  removeCompletion,
+  removeCompletionsByDate,
+  getUserCompletions,
+  getReadingCompletion,
+  getReadingCompletionCount,
   getCompletionCount,
   getCompletionsByDate,
   getTopParticipants,
   getUserCompletionCount,
+  getUserCompletionDates,
+  getMissingReadings,
+  getEnrolledReaderCount,
+  getEnrolledCompletionCount,
   saveDailyStats,
+  refreshDailyStats,
   getDailyStats,
   getRecentDailyStats,
   getAllDailyStats,
+  getSessionStats,
   calculateMonthlyStats,
   saveMonthlyStats,
   getMonthlyStats,
@@ -585,6 +1786,29 @@ export default {
   saveOverallStats,
   getLatestOverallStats,
   getAllOverallStats,
+  addRestDay,
+  removeRestDay,
+  isRestDay,
+  getRestDays,
+  getNextRestDay,
+  recordSendLog,
+  getRecentSendLogs,
+  getReadingIndexForDate,
+  getReadingSendDate,
+  saveReadingPost,
+  getReadingPost,
+  getLatestReadingPost,
+  getLastHandledSendDate,
+  getTelegramFileId,
+  saveTelegramFileId,
+  deleteTelegramFileId,
+  writeAuditLog,
+  getRecentAuditLogs,
+  enqueueJob,
+  getDueJobs,
+  getPendingJobs,
+  markJobDone,
+  markJobFailed,
   closeDatabase,
   getDatabase,
 };
@@ -0,0 +1,206 @@
+import { config } from "./config.js";
+import { logError } from "./utils.js";
+
+// 한글 음절 분해용 자모 (호환용 자모)
+const CHOSEONG = "ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ";
+const JUNGSEONG = "ㅏㅐㅑㅒㅓㅔㅕㅖㅗㅘㅙㅚㅛㅜㅝㅞㅟㅠㅡㅢㅣ";
+const JONGSEONG = ["", ..."ㄱㄲㄳㄴㄵㄶㄷㄹㄺㄻㄼㄽㄾㄿㅀㅁㅂㅄㅅㅆㅇㅈㅊㅋㅌㅍㅎ"];
+const HANGUL_START = 0xac00;
+const HANGUL_END = 0xd7a3;
+
+// 키워드 뒤에 붙어도 완독으로 보는 말 (예: 완독했습니다, 완독함, 완독ㅎㅎ)
+// "통독방에"처럼 다른 뜻의 단어는 제외하기 위해 흔한 끝맺음만 허용합니다.
+const COMPLETION_SUFFIX_PATTERN = /^(했|함|합니다|하였|해요|입니다|이요|요|완료|끝|성공|ㅎ|ㅋ|ㅠ|\^)/;
+
+// 오타 허용 비교를 할 키워드의 최소 자모 수 ("ㅇㄷ"처럼 짧은 키워드는 오타 비교 안 함)
+const MIN_FUZZY_JAMO_LENGTH = 4;
+
+// 규칙 이름 (/testkeyword 표시용)
+export const RULE_LABELS = {
+  exact: "정확히 일치",
+  pattern: "정규식",
+  contains: "키워드 + 끝맺음",
+  fuzzy: "오타 허용",
+};
+
+/**
+ * 키워드 매칭 설정 조회 (기본값 병합)
+ * contains: "오늘 완독", "완독했습니다"처럼 키워드 단어나 키워드에 끝맺음이 붙은 단어가 있으면 인정
+ * looseKeywords: 포함 규칙을 적용할 키워드 ("완료"처럼 일상 대화에 흔한 말은 정확히 일치할 때만 인정)
+ * fuzzyKeywords: 오타 비교를 할 키워드 ("동독"이 "통독"으로 인식되지 않도록 "완독"만)
+ * maxEditDistance: 자모 단위로 허용할 오타 수 (0이면 오타 비교 안 함, 한 단어짜리 메시지만 비교)
+ * maxMessageLength: 포함/오타 비교를 할 메시지 최대 길이 (긴 대화는 완독으로 보지 않음)
+ * patterns: 완독으로 인정할 정규식 목록
+ * excludePhrases: 포함되면 완독으로 보지 않는 문구 (예: "못", "아직")
+ */
+function getMatchingConfig() {
+  return {
+    contains: true,
+    looseKeywords: ["완독", "통독", "ㅇㄷ"],
+    fuzzyKeywords: ["완독"],
+    maxEditDistance: 1,
+    maxMessageLength: 30,
+    patterns: [],
+    excludePhrases: [],
+    ...config.keywordMatching,
+  };
+}
+
+/**
+ * 메시지 정규화 - 자모 조합(NFC), 이모지/문장부호 제거, 공백 정리
+ * @param {string} text - 메시지 내용
+ * @returns {string} 정규화된 메시지
+ */
+export function normalizeMessage(text) {
+  return text
+    .normalize("NFC")
+    .replace(/[\p{Extended_Pictographic}\u{1F3FB}-\u{1F3FF}\u{FE0F}\u{200D}]/gu, " ")
+    .replace(/[!.~,…·♡♥]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * 한글 음절을 자모로 분해 (예: "완독" → "ㅇㅘㄴㄷㅗㄱ")
+ */
+export function toJamo(text) {
+  return [...text]
+    .map((char) => {
+      const code = char.charCodeAt(0);
+      if (code < HANGUL_START || code > HANGUL_END) {
+        return char;
+      }
+      const offset = code - HANGUL_START;
+      return (
+        CHOSEONG[Math.floor(offset / 588)] +
+        JUNGSEONG[Math.floor((offset % 588) / 28)] +
+        JONGSEONG[offset % 28]
+      );
+    })
+    .join("");
+}
+
+/**
+ * 두 문자열의 편집 거리 (Levenshtein)
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * 정규식 목록 컴파일 (잘못된 정규식은 건너뜀)
+ */
+function compilePatterns(patterns) {
+  return patterns
+    .map((pattern) => {
+      try {
+        return { pattern, regex: new RegExp(pattern) };
+      } catch (error) {
+        logError(`키워드 정규식 오류: ${pattern}`, error);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * 메시지가 완독 키워드에 해당하는지 확인
+ * 제외 문구 → 정확히 일치 → 정규식 → 키워드 + 끝맺음 → 오타 허용 순으로 확인합니다.
+ * 키워드 + 끝맺음은 looseKeywords, 오타 허용은 fuzzyKeywords에 있는 키워드만 적용합니다.
+ * @param {string} text - 메시지 내용
+ * @param {Object} options - { keywords } 완독 키워드 (기본값: config.completionKeywords)
+ * @returns {Object} { matched, rule, keyword, pattern, reason, normalized }
+ */
+export function matchCompletionKeyword(
+  text,
+  { keywords = config.completionKeywords } = {}
+) {
+  const matching = getMatchingConfig();
+  const normalized = normalizeMessage(text);
+  const result = { matched: false, normalized };
+
+  if (!normalized) {
+    return { ...result, reason: "내용이 없습니다." };
+  }
+
+  const excluded = matching.excludePhrases.find((phrase) => normalized.includes(phrase));
+  if (excluded) {
+    return { ...result, reason: `제외 문구 "${excluded}" 포함` };
+  }
+
+  if (keywords.includes(normalized)) {
+    return { ...result, matched: true, rule: "exact", keyword: normalized };
+  }
+
+  const matchedPattern = compilePatterns(matching.patterns).find(({ regex }) =>
+    regex.test(normalized)
+  );
+  if (matchedPattern) {
+    return { ...result, matched: true, rule: "pattern", pattern: matchedPattern.pattern };
+  }
+
+  if (normalized.length > matching.maxMessageLength) {
+    return { ...result, reason: `메시지가 너무 깁니다 (${matching.maxMessageLength}자 초과)` };
+  }
+
+  const tokens = normalized.split(" ");
+
+  if (matching.contains) {
+    const looseKeywords = keywords.filter((kw) => matching.looseKeywords.includes(kw));
+    for (const token of tokens) {
+      const keyword = looseKeywords.find(
+        (kw) =>
+          token.startsWith(kw) &&
+          (token === kw || COMPLETION_SUFFIX_PATTERN.test(token.slice(kw.length)))
+      );
+      if (keyword) {
+        return { ...result, matched: true, rule: "contains", keyword };
+      }
+    }
+  }
+
+  // "동독 여행" 같은 대화가 오타로 인식되지 않도록 한 단어짜리 메시지만 비교
+  if (matching.maxEditDistance > 0 && tokens.length === 1) {
+    const fuzzyKeywords = keywords.filter((kw) => matching.fuzzyKeywords.includes(kw));
+    for (const token of tokens) {
+      for (const keyword of fuzzyKeywords) {
+        const keywordJamo = toJamo(keyword);
+        if (keywordJamo.length < MIN_FUZZY_JAMO_LENGTH) {
+          continue;
+        }
+        // "완덕했어요"처럼 오타 뒤에 끝맺음이 붙은 경우는 앞부분만 비교
+        const candidates = [token];
+        if (COMPLETION_SUFFIX_PATTERN.test(token.slice(keyword.length))) {
+          candidates.push(token.slice(0, keyword.length));
+        }
+        const distance = Math.min(
+          ...candidates.map((candidate) => editDistance(toJamo(candidate), keywordJamo))
+        );
+        if (distance <= matching.maxEditDistance) {
+          return { ...result, matched: true, rule: "fuzzy", keyword, distance };
+        }
+      }
+    }
+  }
+
+  return { ...result, reason: "일치하는 키워드가 없습니다." };
+}
+
+export default {
+  RULE_LABELS,
+  normalizeMessage,
+  toJamo,
+  matchCompletionKeyword,
+};
@@ -0,0 +1,86 @@
+import { readdir, readFile, stat } from 'fs/promises';
+import { join, relative, resolve, sep } from 'path';
+import { config } from './config.js';
+import { logInfo, logError } from './utils.js';
+
+/**
+ * 이미지 폴더 경로 (절대 경로)
+ */
+function getContentDir() {
+  return resolve(config.content.localDir);
+}
+
+/**
+ * 폴더의 모든 파일 조회 (하위 폴더 포함)
+ * 키는 S3와 같이 폴더 기준 상대 경로를 "/"로 구분합니다. (예: "genesis/01.jpg")
+ * ETag 대신 파일 크기와 수정 시각으로 파일이 바뀌었는지 구분합니다.
+ * @returns {Promise<Array>} { key, size, lastModified, etag } 형식의 파일 목록
+ */
+export async function listObjects() {
+  const contentDir = getContentDir();
+  const entries = await readdir(contentDir, { recursive: true, withFileTypes: true });
+  const objects = [];
+
+  for (const entry of entries) {
+    if (!entry.isFile()) {
+      continue;
+    }
+    // Node 20.12 이전 버전의 Dirent는 parentPath 대신 path를 가짐
+    const filePath = join(entry.parentPath || entry.path, entry.name);
+    const stats = await stat(filePath);
+    objects.push({
+      key: relative(contentDir, filePath).split(sep).join('/'),
+      size: stats.size,
+      lastModified: stats.mtime,
+      etag: `${stats.size}-${Math.floor(stats.mtimeMs)}`
+    });
+  }
+
+  return objects;
+}
+
+/**
+ * 파일 내용 읽기
+ * manifest.json 등에 적힌 키가 이미지 폴더 밖을 가리키면 읽지 않습니다.
+ * @param {string} key - 폴더 기준 상대 경로
+ * @returns {Promise<Buffer>} 파일 내용
+ */
+export async function readObject(key) {
+  const contentDir = getContentDir();
+  const filePath = resolve(contentDir, key);
+
+  if (!filePath.startsWith(contentDir + sep)) {
+    throw new Error(`이미지 폴더 밖의 파일은 읽을 수 없습니다: ${key}`);
+  }
+
+  return readFile(filePath);
+}
+
+/**
+ * 이미지 폴더 확인
+ * @returns {Promise<boolean>} 폴더를 읽을 수 있는지 여부
+ */
+export async function testConnection() {
+  try {
+    const contentDir = getContentDir();
+    logInfo(`이미지 폴더 확인 중... (${contentDir})`);
+
+    const stats = await stat(contentDir);
+    if (!stats.isDirectory()) {
+      throw new Error(`폴더가 아닙니다: ${contentDir}`);
+    }
+
+    logInfo('이미지 폴더 확인 완료');
+    return true;
+  } catch (error) {
+    logError('이미지 폴더 확인 실패', error);
+    return false;
+  }
+}
+
+export default {
+  name: '로컬 폴더',
+  listObjects,
+  readObject,
+  testConnection
+};
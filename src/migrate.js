@@ -0,0 +1,49 @@
+import Database from "better-sqlite3";
+import { existsSync, mkdirSync } from "fs";
+import { dirname } from "path";
+import { config } from "./config.js";
+import { runMigrations } from "./migrator.js";
+import { logInfo, logError } from "./utils.js";
+
+/**
+ * 데이터베이스 마이그레이션 실행 스크립트
+ * 봇 시작 시에도 자동으로 적용되며, 배포 전에 미리 확인하거나 적용할 때 사용합니다.
+ *
+ * npm run migrate             - 대기 중인 마이그레이션 적용 (적용 전 자동 백업)
+ * npm run migrate -- --dry-run - 적용할 마이그레이션 목록만 출력
+ */
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  const dbPath = config.database.path;
+
+  let db;
+  if (dryRun) {
+    // dry-run은 데이터베이스 파일을 만들거나 수정하지 않음
+    if (!existsSync(dbPath)) {
+      logInfo(`데이터베이스 파일이 없습니다: ${dbPath} (모든 마이그레이션이 적용될 예정)`);
+    }
+    db = existsSync(dbPath)
+      ? new Database(dbPath, { readonly: true })
+      : new Database(":memory:");
+  } else {
+    if (!existsSync(dirname(dbPath))) {
+      mkdirSync(dirname(dbPath), { recursive: true });
+    }
+    db = new Database(dbPath);
+    db.pragma("journal_mode = WAL");
+  }
+
+  try {
+    const result = await runMigrations(db, { dryRun });
+    if (!dryRun && result.applied.length > 0) {
+      logInfo(`마이그레이션 ${result.applied.length}개 적용 완료`);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+main().catch((error) => {
+  logError("마이그레이션 실행 실패", error);
+  process.exit(1);
+});
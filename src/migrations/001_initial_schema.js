@@ -0,0 +1,72 @@
+/**
+ * 001 - 초기 스키마 (진행 상황, 완독 기록, 통계 테이블)
+ */
+export const description = "초기 스키마";
+
+export function up(db) {
+  // 진행 상황 추적 테이블 (각 레코드 = 하나의 통독 세션)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS progress (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      current_index INTEGER DEFAULT 0,
+      last_sent_date TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // 완독 기록 테이블
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS completions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      username TEXT,
+      first_name TEXT,
+      date TEXT NOT NULL,
+      completed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // 일일 통계 테이블
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS daily_stats (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      date TEXT UNIQUE NOT NULL,
+      total_members INTEGER,
+      completed_count INTEGER,
+      completion_rate REAL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // 월간 통계 테이블
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS monthly_stats (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      year INTEGER NOT NULL,
+      month INTEGER NOT NULL,
+      total_days INTEGER,
+      reading_days INTEGER,
+      total_completions INTEGER,
+      average_rate REAL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(year, month)
+    )
+  `);
+
+  // 전체 통독 기록 테이블
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS overall_stats (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      start_date TEXT,
+      end_date TEXT,
+      total_days INTEGER,
+      total_readings INTEGER,
+      total_completions INTEGER,
+      average_rate REAL,
+      top_participants TEXT,
+      completed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+export default { description, up };
@@ -0,0 +1,17 @@
+/**
+ * 002 - 휴독일 테이블 (특정 날짜에 통독을 쉬는 일정)
+ */
+export const description = "휴독일";
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rest_days (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      date TEXT UNIQUE NOT NULL,
+      reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+export default { description, up };
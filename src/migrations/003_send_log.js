@@ -0,0 +1,19 @@
+/**
+ * 003 - 전송 기록 테이블 (정상 전송, 누락 처리, 재시도 등 모든 전송 결정)
+ */
+export const description = "전송 기록";
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS send_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      date TEXT NOT NULL,
+      reading_index INTEGER,
+      status TEXT NOT NULL,
+      detail TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+export default { description, up };
@@ -0,0 +1,22 @@
+/**
+ * 004 - 예약 작업 테이블 (재시작 후에도 유지되는 일회성 작업)
+ */
+export const description = "예약 작업";
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      payload TEXT,
+      run_at TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      last_error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME
+    )
+  `);
+}
+
+export default { description, up };
@@ -0,0 +1,76 @@
+import { hasColumn } from "../migrator.js";
+
+/**
+ * 005 - 여러 그룹 지원
+ * 통독 그룹 테이블을 만들고 그룹별 데이터에 chat_id 컬럼을 추가합니다.
+ * 기존 데이터의 그룹 귀속은 database.js의 assignLegacyData()가 담당합니다.
+ */
+export const description = "여러 그룹 지원";
+
+// 그룹별 UNIQUE 제약 조건이 있는 통계 테이블 컬럼 정의
+const DAILY_STATS_COLUMNS = `
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chat_id INTEGER,
+      date TEXT NOT NULL,
+      total_members INTEGER,
+      completed_count INTEGER,
+      completion_rate REAL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(chat_id, date)`;
+
+const MONTHLY_STATS_COLUMNS = `
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chat_id INTEGER,
+      year INTEGER NOT NULL,
+      month INTEGER NOT NULL,
+      total_days INTEGER,
+      reading_days INTEGER,
+      total_completions INTEGER,
+      average_rate REAL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(chat_id, year, month)`;
+
+export function up(db) {
+  // 통독 그룹 테이블 (그룹별 시작일, 전송 시간, 시작 인덱스)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS groups (
+      chat_id INTEGER PRIMARY KEY,
+      title TEXT,
+      send_time TEXT NOT NULL,
+      start_date TEXT,
+      start_index INTEGER DEFAULT 0,
+      active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  for (const table of ["progress", "completions", "overall_stats", "send_log"]) {
+    if (!hasColumn(db, table, "chat_id")) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN chat_id INTEGER`);
+    }
+  }
+
+  // UNIQUE 제약 조건 변경을 위해 테이블 재생성
+  const rebuilds = [
+    ["daily_stats", DAILY_STATS_COLUMNS],
+    ["monthly_stats", MONTHLY_STATS_COLUMNS],
+  ];
+  for (const [table, columns] of rebuilds) {
+    if (!hasColumn(db, table, "chat_id")) {
+      const existingColumns = db
+        .prepare(`PRAGMA table_info(${table})`)
+        .all()
+        .map((info) => info.name)
+        .join(", ");
+
+      db.exec(`
+        CREATE TABLE ${table}_new (${columns});
+        INSERT INTO ${table}_new (${existingColumns}) SELECT ${existingColumns} FROM ${table};
+        DROP TABLE ${table};
+        ALTER TABLE ${table}_new RENAME TO ${table};
+      `);
+    }
+  }
+}
+
+export default { description, up };
@@ -0,0 +1,28 @@
+/**
+ * 006 - 완독 기록 중복 방지
+ * 같은 그룹, 같은 사용자, 같은 날짜의 중복 기록을 정리하고 UNIQUE 인덱스를 추가합니다.
+ * 통계 조회에 필요한 날짜 인덱스도 함께 추가합니다.
+ */
+export const description = "완독 기록 중복 방지 및 인덱스";
+
+export function up(db) {
+  // 가장 먼저 저장된 기록만 남기고 중복 삭제 (GROUP BY는 NULL chat_id도 같은 값으로 취급)
+  db.exec(`
+    DELETE FROM completions
+    WHERE id NOT IN (
+      SELECT MIN(id) FROM completions GROUP BY chat_id, user_id, date
+    )
+  `);
+
+  db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_completions_chat_user_date
+      ON completions (chat_id, user_id, date)
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_completions_chat_date
+      ON completions (chat_id, date)
+  `);
+}
+
+export default { description, up };
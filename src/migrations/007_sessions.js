@@ -0,0 +1,145 @@
+import { hasTable } from "../migrator.js";
+
+/**
+ * 007 - 통독 세션 테이블
+ * progress 테이블(레코드 하나 = 세션)을 명시적인 sessions 테이블로 옮기고,
+ * 완독 기록, 일일 통계, 전체 통계에 session_id를 추가합니다.
+ */
+export const description = "통독 세션";
+
+// 세션별 UNIQUE 제약 조건이 있는 일일 통계 테이블 컬럼 정의
+const DAILY_STATS_COLUMNS = `
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chat_id INTEGER,
+      session_id INTEGER,
+      date TEXT NOT NULL,
+      total_members INTEGER,
+      completed_count INTEGER,
+      completion_rate REAL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(session_id, date)`;
+
+// 완독 기록/통계 날짜가 속한 세션 (해당 날짜 이전에 시작한 가장 최근 세션, 없으면 첫 세션)
+const SESSION_FOR_DATE = (table) => `
+  COALESCE(
+    (SELECT s.id FROM sessions s
+      WHERE s.chat_id IS ${table}.chat_id AND s.start_date <= ${table}.date
+      ORDER BY s.id DESC LIMIT 1),
+    (SELECT MIN(s.id) FROM sessions s WHERE s.chat_id IS ${table}.chat_id)
+  )`;
+
+export function up(db) {
+  // 통독 세션 테이블
+  // status: scheduled (시작 대기), active (진행 중), completed (완료), aborted (중단)
+  db.exec(`
+    CREATE TABLE sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chat_id INTEGER,
+      name TEXT,
+      plan TEXT,
+      start_date TEXT,
+      end_date TEXT,
+      status TEXT NOT NULL DEFAULT 'active',
+      start_index INTEGER,
+      end_index INTEGER,
+      current_index INTEGER DEFAULT 0,
+      last_sent_date TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.exec("CREATE INDEX idx_sessions_chat ON sessions (chat_id)");
+
+  // 기존 progress 레코드를 세션으로 변환
+  if (hasTable(db, "progress")) {
+    const rows = db.prepare("SELECT * FROM progress ORDER BY id").all();
+    const insert = db.prepare(`
+      INSERT INTO sessions
+      (id, chat_id, name, start_date, end_date, status, end_index, current_index, last_sent_date, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const completedBetween = db.prepare(`
+      SELECT 1 FROM overall_stats
+      WHERE chat_id IS ? AND completed_at >= ? AND completed_at < ?
+      LIMIT 1
+    `);
+
+    const rowsByChat = new Map();
+    rows.forEach((row) => {
+      const key = row.chat_id ?? "legacy";
+      if (!rowsByChat.has(key)) {
+        rowsByChat.set(key, []);
+      }
+      rowsByChat.get(key).push(row);
+    });
+
+    for (const chatRows of rowsByChat.values()) {
+      chatRows.forEach((row, i) => {
+        const next = chatRows[i + 1];
+        const startDate = row.created_at ? row.created_at.split(" ")[0] : null;
+
+        // 마지막 레코드는 진행 중, 이전 레코드는 전체 통계가 있으면 완료, 없으면 중단
+        let status = "active";
+        let endDate = null;
+        let endIndex = null;
+        if (next) {
+          status = completedBetween.get(row.chat_id, row.created_at, next.created_at)
+            ? "completed"
+            : "aborted";
+          endDate =
+            status === "completed" && row.last_sent_date
+              ? row.last_sent_date
+              : next.created_at.split(" ")[0];
+          endIndex = row.current_index;
+        }
+
+        insert.run(
+          row.id,
+          row.chat_id,
+          `${i + 1}차 통독`,
+          startDate,
+          endDate,
+          status,
+          endIndex,
+          row.current_index,
+          row.last_sent_date,
+          row.created_at
+        );
+      });
+    }
+
+    db.exec("DROP TABLE progress");
+  }
+
+  // 완독 기록에 세션 연결 (중복 방지 기준도 세션 단위로 변경)
+  db.exec("ALTER TABLE completions ADD COLUMN session_id INTEGER");
+  db.exec(`UPDATE completions SET session_id = ${SESSION_FOR_DATE("completions")}`);
+  db.exec("DROP INDEX IF EXISTS idx_completions_chat_user_date");
+  db.exec(`
+    CREATE UNIQUE INDEX idx_completions_session_user_date
+      ON completions (session_id, user_id, date)
+  `);
+
+  // 일일 통계에 세션 연결 (UNIQUE 제약 조건 변경을 위해 테이블 재생성)
+  db.exec(`
+    CREATE TABLE daily_stats_new (${DAILY_STATS_COLUMNS});
+    INSERT INTO daily_stats_new
+      (id, chat_id, session_id, date, total_members, completed_count, completion_rate, created_at)
+      SELECT id, chat_id, ${SESSION_FOR_DATE("daily_stats")}, date,
+        total_members, completed_count, completion_rate, created_at
+      FROM daily_stats;
+    DROP TABLE daily_stats;
+    ALTER TABLE daily_stats_new RENAME TO daily_stats;
+  `);
+
+  // 전체 통계에 세션 연결 (통계 생성 시점 이전에 시작한 가장 최근 세션)
+  db.exec("ALTER TABLE overall_stats ADD COLUMN session_id INTEGER");
+  db.exec(`
+    UPDATE overall_stats SET session_id = (
+      SELECT s.id FROM sessions s
+      WHERE s.chat_id IS overall_stats.chat_id AND s.created_at <= overall_stats.completed_at
+      ORDER BY s.id DESC LIMIT 1
+    )
+  `);
+}
+
+export default { description, up };
@@ -0,0 +1,70 @@
+/**
+ * 008 - 참여자 목록
+ * 그룹별 참여자의 현재 이름, 별명, 가입/탈퇴일, 순위 숨김 여부를 저장하고
+ * 이름이 바뀔 때마다 이력을 남깁니다.
+ */
+export const description = "참여자 목록";
+
+export function up(db) {
+  // 참여자 테이블 (그룹별 한 명당 하나의 레코드)
+  db.exec(`
+    CREATE TABLE participants (
+      chat_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      username TEXT,
+      first_name TEXT,
+      last_name TEXT,
+      nickname TEXT,
+      hidden INTEGER DEFAULT 0,
+      joined_at TEXT,
+      left_at TEXT,
+      last_seen_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (chat_id, user_id)
+    )
+  `);
+
+  // 이름 변경 이력 테이블
+  db.exec(`
+    CREATE TABLE participant_names (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chat_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      username TEXT,
+      first_name TEXT,
+      last_name TEXT,
+      changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.exec(
+    "CREATE INDEX idx_participant_names_user ON participant_names (chat_id, user_id)"
+  );
+
+  // 기존 완독 기록에서 참여자 등록 (가장 최근 기록의 이름, 첫 완독일을 참여일로)
+  db.exec(`
+    INSERT INTO participants (chat_id, user_id, username, first_name, joined_at, last_seen_at)
+    SELECT c.chat_id, c.user_id, c.username, c.first_name, MIN(c.date), MAX(c.completed_at)
+    FROM completions c
+    WHERE c.chat_id IS NOT NULL
+    GROUP BY c.chat_id, c.user_id
+  `);
+  db.exec(`
+    UPDATE participants SET
+      username = (
+        SELECT c.username FROM completions c
+        WHERE c.chat_id = participants.chat_id AND c.user_id = participants.user_id
+        ORDER BY c.id DESC LIMIT 1
+      ),
+      first_name = (
+        SELECT c.first_name FROM completions c
+        WHERE c.chat_id = participants.chat_id AND c.user_id = participants.user_id
+        ORDER BY c.id DESC LIMIT 1
+      )
+  `);
+  db.exec(`
+    INSERT INTO participant_names (chat_id, user_id, username, first_name)
+    SELECT chat_id, user_id, username, first_name FROM participants
+  `);
+}
+
+export default { description, up };
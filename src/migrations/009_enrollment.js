@@ -0,0 +1,20 @@
+/**
+ * 009 - 완독률 분모를 통독 참여자 기준으로 변경
+ * 참여자에 봇 여부와 완독률 제외 여부를 추가하고,
+ * 일일 통계에 getChatMembersCount 원본 값(raw_members)을 따로 저장합니다.
+ * (total_members는 완독률 분모로 사용한 통독 참여자 수)
+ */
+export const description = "통독 참여자 기준 완독률";
+
+export function up(db) {
+  db.exec("ALTER TABLE participants ADD COLUMN is_bot INTEGER DEFAULT 0");
+  db.exec("ALTER TABLE participants ADD COLUMN excluded INTEGER DEFAULT 0");
+
+  // 기존 통계의 total_members는 getChatMembersCount - 1 값이었으므로 원본 값으로 복원
+  db.exec("ALTER TABLE daily_stats ADD COLUMN raw_members INTEGER");
+  db.exec(
+    "UPDATE daily_stats SET raw_members = total_members + 1 WHERE total_members > 0"
+  );
+}
+
+export default { description, up };
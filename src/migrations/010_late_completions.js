@@ -0,0 +1,14 @@
+/**
+ * 010 - 늦은 완독 기록
+ * "어제 완독", "완독 3/12", "완독 125"처럼 지난 통독일에 대한 완독을 기록할 수 있도록
+ * 완독 기록에 늦은 완독 여부를, 일일 통계에 늦은 완독 수를 추가합니다.
+ * (기존 기록은 모두 당일 기록이므로 늦은 완독이 아님)
+ */
+export const description = "늦은 완독 기록";
+
+export function up(db) {
+  db.exec("ALTER TABLE completions ADD COLUMN is_late INTEGER DEFAULT 0");
+  db.exec("ALTER TABLE daily_stats ADD COLUMN late_count INTEGER DEFAULT 0");
+}
+
+export default { description, up };
@@ -0,0 +1,42 @@
+/**
+ * 011 - 구절별 완독 기록
+ * 완독 기록에 구절 인덱스를 추가해, 건너뛰거나 늦게 보낸 날에도 어떤 구절을 읽었는지 알 수 있게 합니다.
+ * 기존 기록은 같은 날 전송 기록(send_log)의 구절로 채웁니다. (전송 기록이 없으면 NULL)
+ * 구절이 있는 기록은 (세션, 사용자, 구절) 기준, 없는 기록은 기존처럼 (세션, 사용자, 날짜) 기준으로 중복을 막습니다.
+ */
+export const description = "구절별 완독 기록";
+
+export function up(db) {
+  db.exec("ALTER TABLE completions ADD COLUMN reading_index INTEGER");
+
+  // 같은 날 여러 구절을 보냈으면 마지막 구절로 간주
+  db.exec(`
+    UPDATE completions SET reading_index = (
+      SELECT MAX(s.reading_index) FROM send_log s
+      WHERE s.chat_id IS completions.chat_id AND s.date = completions.date
+        AND s.status IN ('sent', 'late')
+    )
+  `);
+
+  // 같은 구절을 다시 보낸 날의 기록이 겹치면 가장 먼저 저장된 기록에만 구절을 남김
+  db.exec(`
+    UPDATE completions SET reading_index = NULL
+    WHERE reading_index IS NOT NULL AND id NOT IN (
+      SELECT MIN(id) FROM completions
+      WHERE reading_index IS NOT NULL
+      GROUP BY session_id, user_id, reading_index
+    )
+  `);
+
+  db.exec("DROP INDEX IF EXISTS idx_completions_session_user_date");
+  db.exec(`
+    CREATE UNIQUE INDEX idx_completions_session_user_date
+      ON completions (session_id, user_id, date) WHERE reading_index IS NULL
+  `);
+  db.exec(`
+    CREATE UNIQUE INDEX idx_completions_session_user_reading
+      ON completions (session_id, user_id, reading_index) WHERE reading_index IS NOT NULL
+  `);
+}
+
+export default { description, up };
@@ -0,0 +1,12 @@
+/**
+ * 012 - 완독 기록 방법
+ * 완독을 키워드 메시지로 기록했는지, 사진 아래 완독 버튼으로 기록했는지 구분합니다.
+ * (기존 기록은 모두 키워드 메시지)
+ */
+export const description = "완독 기록 방법";
+
+export function up(db) {
+  db.exec("ALTER TABLE completions ADD COLUMN source TEXT DEFAULT 'keyword'");
+}
+
+export default { description, up };
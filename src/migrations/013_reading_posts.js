@@ -0,0 +1,26 @@
+/**
+ * 013 - 말씀 사진 메시지 기록
+ * 매일 전송한 말씀 사진의 텔레그램 메시지 ID를 저장해,
+ * 사진에 남긴 반응(이모지)이 어떤 구절에 대한 것인지 알 수 있게 합니다.
+ */
+export const description = "말씀 사진 메시지 기록";
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE reading_posts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chat_id INTEGER NOT NULL,
+      message_id INTEGER NOT NULL,
+      session_id INTEGER,
+      reading_index INTEGER NOT NULL,
+      date TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(chat_id, message_id)
+    )
+  `);
+  db.exec(
+    "CREATE INDEX idx_reading_posts_reading ON reading_posts (chat_id, reading_index)"
+  );
+}
+
+export default { description, up };
@@ -0,0 +1,12 @@
+/**
+ * 014 - 그룹별 완독 확인 방식
+ * 키워드로 완독했을 때 확인 방식(none, reaction, reply, dm)을 그룹마다 저장합니다.
+ * (NULL이면 config의 completionAck.mode 사용)
+ */
+export const description = "그룹별 완독 확인 방식";
+
+export function up(db) {
+  db.exec("ALTER TABLE groups ADD COLUMN ack_mode TEXT");
+}
+
+export default { description, up };
@@ -0,0 +1,24 @@
+/**
+ * 015 - 관리자 작업 기록
+ * 관리자가 완독 기록을 직접 추가/삭제하는 등 데이터를 바꾼 작업을 남겨,
+ * 누가 언제 무엇을 바꿨는지 확인할 수 있게 합니다.
+ */
+export const description = "관리자 작업 기록";
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chat_id INTEGER,
+      admin_id INTEGER NOT NULL,
+      admin_name TEXT,
+      action TEXT NOT NULL,
+      target_user_id INTEGER,
+      details TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.exec("CREATE INDEX idx_audit_log_chat ON audit_log (chat_id, id)");
+}
+
+export default { description, up };
@@ -0,0 +1,14 @@
+/**
+ * 016 - 관리자 작업 변경 내용
+ * 관리자 작업 기록에 명령어 인자와 변경 전/후 값을 추가해,
+ * /reset, /skip, /setstart 등으로 무엇이 어떻게 바뀌었는지 확인할 수 있게 합니다.
+ */
+export const description = "관리자 작업 변경 내용";
+
+export function up(db) {
+  db.exec("ALTER TABLE audit_log ADD COLUMN args TEXT");
+  db.exec("ALTER TABLE audit_log ADD COLUMN before_value TEXT");
+  db.exec("ALTER TABLE audit_log ADD COLUMN after_value TEXT");
+}
+
+export default { description, up };
@@ -0,0 +1,23 @@
+/**
+ * 017 - 텔레그램 파일 ID 캐시
+ * 한 번 올린 이미지의 텔레그램 file_id를 (이미지 키, ETag) 기준으로 저장해,
+ * 같은 이미지를 다시 보낼 때 저장소에서 다시 다운로드하지 않고 file_id로 보냅니다.
+ * (이미지 파일이 바뀌면 ETag가 달라지므로 새로 올림)
+ */
+export const description = "텔레그램 파일 ID 캐시";
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE telegram_files (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      key TEXT NOT NULL,
+      etag TEXT NOT NULL,
+      file_id TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(key, etag)
+    )
+  `);
+}
+
+export default { description, up };
@@ -0,0 +1,20 @@
+/**
+ * 018 - 전송 기록의 통독일
+ * 누락분을 늦게 보낸 경우 보낸 날짜(date)와 그 구절의 원래 통독일이 다르므로 통독일(reading_date)을 따로 저장합니다.
+ * "어제 완독", "완독 3/12", 완독 버튼은 통독일로 구절을 찾아, 늦게 보낸 구절도 원래 날짜의 완독으로 기록합니다.
+ * 기존 늦은 전송 기록은 detail("YYYY-MM-DD 누락분")의 날짜로 채웁니다.
+ */
+export const description = "전송 기록의 통독일";
+
+export function up(db) {
+  db.exec("ALTER TABLE send_log ADD COLUMN reading_date TEXT");
+  db.exec(`
+    UPDATE send_log SET reading_date = CASE
+      WHEN status = 'late' AND detail GLOB '[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9] 누락분'
+        THEN substr(detail, 1, 10)
+      ELSE date
+    END
+  `);
+}
+
+export default { description, up };
@@ -0,0 +1,22 @@
+/**
+ * 019 - 전송 기록의 세션
+ * 전송 기록에 세션을 연결해, /skip으로 건너뛴 구절을 날짜가 아닌 세션 기준으로 찾습니다.
+ * (시작일이 없는 세션이나 같은 날 /reset한 경우 이전 세션의 건너뛴 구절이 섞이지 않도록)
+ * 기존 기록은 기록 시각 이전에 만들어진 가장 최근 세션으로 채웁니다. (없으면 첫 세션)
+ */
+export const description = "전송 기록의 세션";
+
+export function up(db) {
+  db.exec("ALTER TABLE send_log ADD COLUMN session_id INTEGER");
+  db.exec(`
+    UPDATE send_log SET session_id = COALESCE(
+      (SELECT s.id FROM sessions s
+        WHERE s.chat_id IS send_log.chat_id AND s.created_at <= send_log.created_at
+        ORDER BY s.id DESC LIMIT 1),
+      (SELECT MIN(s.id) FROM sessions s WHERE s.chat_id IS send_log.chat_id)
+    )
+  `);
+  db.exec("CREATE INDEX idx_send_log_session ON send_log (session_id, status)");
+}
+
+export default { description, up };
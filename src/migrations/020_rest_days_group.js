@@ -0,0 +1,43 @@
+/**
+ * 020 - 그룹별 휴독일
+ * 시작일, 전송 시간, 진행 구절처럼 휴독일도 그룹마다 따로 관리하도록 chat_id를 추가합니다.
+ * 기존 휴독일은 모든 그룹에 적용되던 것이므로 등록된 그룹마다 복사하고,
+ * 그룹이 없으면 chat_id 없이 두어 database.js의 assignLegacyData()가 귀속합니다.
+ */
+export const description = "그룹별 휴독일";
+
+export function up(db) {
+  // UNIQUE 제약 조건 변경을 위해 테이블 재생성
+  db.exec(`
+    CREATE TABLE rest_days_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chat_id INTEGER,
+      date TEXT NOT NULL,
+      reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(chat_id, date)
+    )
+  `);
+
+  const hasGroups = db.prepare("SELECT 1 FROM groups LIMIT 1").get();
+  if (hasGroups) {
+    db.exec(`
+      INSERT INTO rest_days_new (chat_id, date, reason, created_at)
+      SELECT g.chat_id, r.date, r.reason, r.created_at
+      FROM rest_days r CROSS JOIN groups g
+      ORDER BY g.chat_id, r.date
+    `);
+  } else {
+    db.exec(`
+      INSERT INTO rest_days_new (date, reason, created_at)
+      SELECT date, reason, created_at FROM rest_days ORDER BY date
+    `);
+  }
+
+  db.exec(`
+    DROP TABLE rest_days;
+    ALTER TABLE rest_days_new RENAME TO rest_days;
+  `);
+}
+
+export default { description, up };
@@ -0,0 +1,201 @@
+import { readdirSync, existsSync, mkdirSync } from "fs";
+import { fileURLToPath, pathToFileURL } from "url";
+import { dirname, join } from "path";
+import { logInfo, logError } from "./utils.js";
+import { config } from "./config.js";
+
+// __dirname 설정 (ESM 환경)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// 마이그레이션 파일 위치 및 이름 규칙 (예: 005_groups.js)
+const migrationsDir = join(__dirname, "migrations");
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * 테이블이 있는지 확인
+ * @param {Database} db - better-sqlite3 데이터베이스
+ * @param {string} table - 테이블 이름
+ */
+export function hasTable(db, table) {
+  return !!db
+    .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?")
+    .get(table);
+}
+
+/**
+ * 테이블에 컬럼이 있는지 확인
+ * @param {Database} db - better-sqlite3 데이터베이스
+ * @param {string} table - 테이블 이름
+ * @param {string} column - 컬럼 이름
+ */
+export function hasColumn(db, table, column) {
+  return db
+    .prepare(`PRAGMA table_info(${table})`)
+    .all()
+    .some((info) => info.name === column);
+}
+
+/**
+ * 현재 스키마 버전 조회 (schema_version 테이블이 없으면 0)
+ */
+export function getSchemaVersion(db) {
+  if (!hasTable(db, "schema_version")) {
+    return 0;
+  }
+  const row = db
+    .prepare("SELECT MAX(version) as version FROM schema_version")
+    .get();
+  return row.version || 0;
+}
+
+/**
+ * migrations 디렉토리의 마이그레이션 파일을 버전 순으로 로드
+ * @returns {Promise<Array>} [{ version, name, description, up }]
+ */
+export async function loadMigrations() {
+  const files = readdirSync(migrationsDir)
+    .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+    .sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+    const module = await import(pathToFileURL(join(migrationsDir, file)).href);
+
+    if (typeof module.up !== "function") {
+      throw new Error(`마이그레이션 ${file}에 up 함수가 없습니다.`);
+    }
+
+    migrations.push({
+      version: parseInt(version),
+      name,
+      description: module.description || name,
+      up: module.up,
+    });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migrations[i - 1].version === migration.version) {
+      throw new Error(`마이그레이션 버전이 중복되었습니다: ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+/**
+ * 아직 적용되지 않은 마이그레이션 목록 조회
+ */
+export async function getPendingMigrations(db) {
+  const currentVersion = getSchemaVersion(db);
+  const migrations = await loadMigrations();
+  return migrations.filter((migration) => migration.version > currentVersion);
+}
+
+/**
+ * 마이그레이션 전 데이터베이스 백업 (VACUUM INTO)
+ * @returns {string} 백업 파일 경로
+ */
+export function backupDatabase(db, version) {
+  const backupDir = config.database.backupDir;
+  if (!existsSync(backupDir)) {
+    mkdirSync(backupDir, { recursive: true });
+  }
+
+  const timestamp = new Date().toISOString().replace(/[-:]/g, "").slice(0, 15);
+  const backupPath = join(backupDir, `bible_reading_v${version}_${timestamp}.db`);
+
+  db.prepare("VACUUM INTO ?").run(backupPath);
+  logInfo(`마이그레이션 전 데이터베이스 백업: ${backupPath}`);
+  return backupPath;
+}
+
+/**
+ * 대기 중인 마이그레이션 적용
+ * 각 마이그레이션은 schema_version 기록과 함께 하나의 트랜잭션으로 실행됩니다.
+ * @param {Database} db - better-sqlite3 데이터베이스
+ * @param {Object} options - { dryRun } true이면 적용하지 않고 목록만 출력
+ * @returns {Promise<Object>} { currentVersion, pending, applied, backupPath }
+ */
+export async function runMigrations(db, { dryRun = false } = {}) {
+  const currentVersion = getSchemaVersion(db);
+  const pending = await getPendingMigrations(db);
+  const result = { currentVersion, pending, applied: [], backupPath: null };
+
+  if (pending.length === 0) {
+    logInfo(`데이터베이스 스키마 최신 상태 (버전 ${currentVersion})`);
+    return result;
+  }
+
+  logInfo(
+    `${dryRun ? "[dry-run] " : ""}적용할 마이그레이션 ${pending.length}개 (현재 버전 ${currentVersion})`
+  );
+  pending.forEach((migration) => {
+    logInfo(`  ${formatMigration(migration)}`);
+  });
+
+  if (dryRun) {
+    return result;
+  }
+
+  // 기존 데이터가 있으면 마이그레이션 전에 백업
+  const hasData = db
+    .prepare(
+      "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' LIMIT 1"
+    )
+    .get();
+  if (hasData) {
+    result.backupPath = backupDatabase(db, currentVersion);
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  for (const migration of pending) {
+    const apply = db.transaction(() => {
+      migration.up(db);
+      db.prepare("INSERT INTO schema_version (version, name) VALUES (?, ?)").run(
+        migration.version,
+        migration.name
+      );
+    });
+
+    try {
+      apply();
+      result.applied.push(migration);
+      logInfo(`마이그레이션 적용 완료: ${formatMigration(migration)}`);
+    } catch (error) {
+      logError(`마이그레이션 실패: ${formatMigration(migration)}`, error);
+      if (result.backupPath) {
+        logInfo(`백업 파일에서 복구할 수 있습니다: ${result.backupPath}`);
+      }
+      throw error;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 마이그레이션 표시용 문자열 (예: 005_groups - 여러 그룹 지원)
+ */
+function formatMigration(migration) {
+  return `${String(migration.version).padStart(3, "0")}_${migration.name} - ${migration.description}`;
+}
+
+export default {
+  hasTable,
+  hasColumn,
+  getSchemaVersion,
+  loadMigrations,
+  getPendingMigrations,
+  backupDatabase,
+  runMigrations,
+};
@@ -1,31 +1,99 @@
 import cron from "node-cron";
+import { Markup } from "telegraf";
 import { config } from "./config.js";
 import {
   getCurrentIndex,
   updateProgress,
-  getCompletionCount,
+  getEnrolledReaderCount,
+  getEnrolledCompletionCount,
+  getCompletionsByDate,
+  getUserCompletionDates,
+  getParticipant,
   saveDailyStats,
   calculateMonthlyStats,
   saveMonthlyStats,
   getAllDailyStats,
   getTopParticipants,
   saveOverallStats,
-  getProgress,
+  getCurrentSession,
+  getSession,
+  completeSession,
+  getGroup,
+  getActiveGroups,
+  isRestDay,
+  recordSendLog,
+  saveReadingPost,
+  getLastHandledSendDate,
+  enqueueJob,
+  getDueJobs,
+  getPendingJobs,
+  markJobDone,
+  markJobFailed,
+  getTelegramFileId,
+  saveTelegramFileId,
+  deleteTelegramFileId,
 } from "./database.js";
-import { getTotalImageCount, downloadImageByIndex } from "./s3Service.js";
+import {
+  listImages,
+  getTotalImageCount,
+  getImageByIndex,
+  downloadImageFile,
+  prefetchImageFile,
+  clearPrefetchedImages,
+} from "./contentSource.js";
 import {
   getTodayDate,
   formatDateKorean,
   formatNumber,
+  getDisplayName,
+  buildCronDayField,
+  formatReadingDays,
+  addDays,
+  safeJsonParse,
   logInfo,
   logError,
 } from "./utils.js";
+import { isReadingDay, hasSendTimePassed, calculateStreak } from "./calendar.js";
+
+// 누락 확인 시 최대 누락일 수
+const MAX_MISSED_DATES = 366;
+
+// 마지막 구절 전송 후 전체 통계 보고까지의 지연 시간 (24시간)
+const OVERALL_STATS_DELAY_MS = 1000 * 60 * 60 * 24;
+
+// 텔레그램 앨범(미디어 그룹) 하나에 담을 수 있는 최대 사진 수
+const MAX_MEDIA_GROUP_SIZE = 10;
+
+// 저장된 file_id를 텔레그램이 받지 않을 때의 오류 설명 (만료되었거나 다른 봇의 file_id 등)
+const FILE_ID_ERROR_PATTERN = /wrong (remote )?file identifier|file reference|FILE_ID_INVALID|MEDIA_EMPTY/i;
+
+// 예약 작업 실패 시 최대 시도 횟수 및 재시도 간격
+const MAX_JOB_ATTEMPTS = 3;
+const JOB_RETRY_DELAY_MS = 1000 * 60 * 10;
+
+// 예약 작업 종류별 처리 함수 (true 반환 시 성공)
+const JOB_HANDLERS = {
+  overallStats: (payload) =>
+    generateAndSendOverallStats(payload.chatId, payload.sessionId),
+};
+
+// 예약 작업 종류별 표시 이름
+export const JOB_LABELS = {
+  overallStats: "전체 통독 통계 보고",
+};
 
 let bot = null;
+// 전송 작업이 진행 중인 그룹 Chat ID
+const sendsInProgress = new Set();
+// 그룹별 재시도 타이머 (그룹 Chat ID → 타이머)
+const retryTimers = new Map();
+let jobsInProgress = false;
 let schedules = {
-  dailyReading: null,
+  dailyReading: new Map(), // 그룹 Chat ID → cron 작업
   dailyReport: null,
   monthlyReport: null,
+  jobRunner: null,
+  preflight: null,
 };
 
 /**
@@ -38,120 +106,630 @@ export function setBot(botInstance) {
 }
 
 /**
- * 일일 성경 구절 전송 스케줄
- * 월-토 오전 5시 (일요일 제외)
+ * 누락 처리 설정 조회 (기본값 병합)
+ * policy: late(가장 오래된 누락분 하나만 늦게 전송), skip(전송하지 않음), both(누락된 날 수만큼 모두 전송)
  */
-export function scheduleDailyReading() {
-  const [hour, minute] = config.sendTime.split(":");
-  const cronExpression = `${minute} ${hour} * * 1-6`; // 월-토요일
+function getCatchUpConfig() {
+  return {
+    policy: "late",
+    maxReadings: 3,
+    retryAttempts: 3,
+    retryDelayMinutes: 5,
+    ...config.catchUp,
+  };
+}
 
-  logInfo(`[스케줄러] 일일 성경 구절 전송 스케줄 등록`);
-  logInfo(`  - 시간: ${config.sendTime} (월-토요일)`);
-  logInfo(`  - Cron 표현식: ${cronExpression}`);
-  logInfo(`  - 타임존: ${config.timezone}`);
+/**
+ * 전송 전 이미지 확인 설정 조회 (기본값 병합)
+ * time: 매일 다음 구절 이미지를 미리 확인할 시간 (전날 저녁)
+ */
+function getPreflightConfig() {
+  return {
+    enabled: true,
+    time: "20:00",
+    ...config.preflight,
+  };
+}
 
-  schedules.dailyReading = cron.schedule(
-    cronExpression,
-    async () => {
-      try {
-        const now = new Date();
-        const nowStr = now.toLocaleString("ko-KR", {
-          timeZone: config.timezone,
-          year: "numeric",
-          month: "2-digit",
-          day: "2-digit",
-          hour: "2-digit",
-          minute: "2-digit",
-          second: "2-digit",
-          weekday: "long",
-        });
+/**
+ * 말씀 사진 아래 완독 버튼 (callback_data: done:<구절 인덱스>)
+ * @param {number} readingIndex - 구절 인덱스
+ * @param {number} count - 버튼에 표시할 완독자 수
+ */
+export function buildCompletionKeyboard(readingIndex, count = 0) {
+  return Markup.inlineKeyboard([
+    Markup.button.callback(`✅ 완독 (${count}명)`, `done:${readingIndex}`),
+  ]);
+}
 
-        logInfo(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-        logInfo(`[일일 전송] 작업 시작 - ${nowStr}`);
-        logInfo(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+/**
+ * 사진 전송용 미디어 준비
+ * 저장된 file_id가 있으면 그대로 쓰고, 없으면 이미지 저장소에서 다운로드합니다.
+ * @param {Array} files - 이미지 파일 목록
+ * @param {Array} fileIds - 파일별 저장된 file_id (없으면 null)
+ * @returns {Promise<Array>} 파일별 file_id 또는 { source: Buffer }
+ */
+async function loadPhotoMedia(files, fileIds) {
+  const media = [];
+  for (const [i, file] of files.entries()) {
+    media.push(fileIds[i] || { source: await downloadImageFile(file) });
+  }
+  return media;
+}
 
-        // 시작 날짜 체크
-        if (config.startDate) {
-          const today = getTodayDate();
-          const startDate = config.startDate;
+/**
+ * 사진 묶음 전송 (한 장이면 사진, 여러 장이면 앨범)
+ * @param {number|string} chatId - 보낼 대화
+ * @param {Array} media - 사진별 file_id 또는 { source: Buffer } (최대 10장)
+ * @param {Object} extra - 첫 번째 사진의 설명과 한 장일 때 달 버튼
+ * @returns {Promise<Array>} 보낸 사진 메시지 목록 (사진 순서)
+ */
+async function sendPhotoGroup(chatId, media, extra) {
+  if (media.length === 1) {
+    return [await bot.telegram.sendPhoto(chatId, media[0], extra)];
+  }
 
-          if (today < startDate) {
-            logInfo(
-              `⏳ 아직 시작일이 아닙니다. 시작일: ${startDate}, 현재: ${today}`
-            );
-            return;
-          }
-        }
+  return bot.telegram.sendMediaGroup(
+    chatId,
+    media.map((photo, i) => ({
+      type: "photo",
+      media: photo,
+      ...(i === 0 && extra.caption ? { caption: extra.caption } : {}),
+    }))
+  );
+}
 
-        const currentIndex = getCurrentIndex();
-        const totalCount = await getTotalImageCount();
-        const nextIndex = currentIndex + 1;
+/**
+ * 사진 묶음 전송 (저장된 file_id를 텔레그램이 거부하면 그 묶음만 이미지를 다시 올려 전송)
+ * @param {Array} files - 묶음의 이미지 파일 목록
+ * @param {Array} fileIds - 파일별 저장된 file_id (거부되면 null로 바뀜)
+ * @returns {Promise<Array>} 보낸 사진 메시지 목록 (사진 순서)
+ */
+async function sendPhotoGroupWithFallback(chatId, files, fileIds, extra) {
+  try {
+    return await sendPhotoGroup(chatId, await loadPhotoMedia(files, fileIds), extra);
+  } catch (error) {
+    const description = error.response?.description || error.message;
+    if (!fileIds.some(Boolean) || !FILE_ID_ERROR_PATTERN.test(description)) {
+      throw error;
+    }
 
-        logInfo(
-          `📊 현재 진행: ${currentIndex}/${totalCount} (다음: ${nextIndex})`
-        );
+    logInfo(`⚠️  텔레그램이 저장된 file_id를 거부해 이미지를 다시 올립니다: ${description}`);
+    files.forEach((file, i) => {
+      if (fileIds[i]) {
+        deleteTelegramFileId(file.key, file.etag);
+        fileIds[i] = null;
+      }
+    });
+    return sendPhotoGroup(chatId, await loadPhotoMedia(files, fileIds), extra);
+  }
+}
 
-        // 이미 모든 구절을 전송한 경우
-        if (currentIndex >= totalCount) {
-          logInfo("✅ 모든 성경 구절 전송 완료");
-          return;
-        }
+/**
+ * 하루 분량의 이미지 전송
+ * 한 장이면 사진에 설명과 완독 버튼을 함께 달고, 여러 장이면 앨범(미디어 그룹)으로 보냅니다.
+ * 앨범에는 버튼을 달 수 없으므로 완독 버튼은 앨범 뒤에 별도 메시지로 보냅니다.
+ * 한 번 올린 이미지는 텔레그램 file_id를 (키, ETag) 기준으로 저장해 두고 다시 보낼 때 사용하므로
+ * 이미지 저장소에서 다시 다운로드하지 않습니다. 텔레그램이 file_id를 거부하면 이미지를 다시 올립니다.
+ * @param {number|string} chatId - 보낼 대화
+ * @param {Array} files - 이미지 파일 목록 (listImages 결과의 files, 보낼 순서)
+ * @param {string} caption - 사진 설명 (앨범은 첫 번째 사진에 표시)
+ * @param {number|null} readingIndex - 완독 버튼의 구절 인덱스 (null이면 버튼 없음)
+ * @returns {Promise<Array<number>>} 보낸 메시지 ID 목록 (완독 버튼이 있는 메시지가 마지막)
+ */
+export async function sendReadingImages(chatId, files, caption, readingIndex = null) {
+  const keyboard = readingIndex ? buildCompletionKeyboard(readingIndex) : {};
+  const fileIds = files.map((file) => (file.etag ? getTelegramFileId(file.key, file.etag) : null));
+  const cachedCount = fileIds.filter(Boolean).length;
 
-        // 다음 이미지 다운로드
-        logInfo(`⬇️  인덱스 ${nextIndex} 이미지 다운로드 중...`);
-        const imageData = await downloadImageByIndex(nextIndex);
+  if (cachedCount > 0) {
+    logInfo(`저장된 텔레그램 file_id 사용: ${cachedCount}/${files.length}장`);
+  }
 
-        if (!imageData) {
-          logError(
-            "❌ 이미지 다운로드 실패",
-            new Error(`인덱스 ${nextIndex}의 이미지를 찾을 수 없습니다.`)
-          );
-          return;
-        }
+  // 앨범은 2장 이상 10장 이하이므로 10장씩 나누고 남은 한 장은 사진으로 전송
+  // (묶음별로 보내므로 file_id가 거부되어도 이미 보낸 묶음은 다시 보내지 않음)
+  const sentMessages = [];
+  for (let start = 0; start < files.length; start += MAX_MEDIA_GROUP_SIZE) {
+    const end = start + MAX_MEDIA_GROUP_SIZE;
+    const chunkFileIds = fileIds.slice(start, end);
+    const extra = {
+      ...(start === 0 ? { caption } : {}),
+      ...(files.length === 1 ? keyboard : {}),
+    };
+
+    sentMessages.push(
+      ...(await sendPhotoGroupWithFallback(chatId, files.slice(start, end), chunkFileIds, extra))
+    );
+    fileIds.splice(start, chunkFileIds.length, ...chunkFileIds);
+  }
 
-        // 텔레그램으로 사진 전송
-        logInfo(`📤 텔레그램으로 이미지 전송 중...`);
-        await bot.telegram.sendPhoto(
-          config.telegram.groupChatId,
-          { source: imageData.buffer },
-          {
-            caption: `📖 오늘의 말씀 (${nextIndex}/${totalCount})\n\n${getTodayDate()}`,
-          }
-        );
+  // 새로 올린 이미지의 file_id 저장 (사진은 크기별로 여러 개가 오므로 가장 큰 것)
+  files.forEach((file, i) => {
+    const photoSizes = sentMessages[i]?.photo;
+    if (!fileIds[i] && file.etag && photoSizes?.length) {
+      saveTelegramFileId(file.key, file.etag, photoSizes[photoSizes.length - 1].file_id);
+    }
+  });
 
-        // 진행 상황 업데이트
-        updateProgress(nextIndex);
+  const messageIds = sentMessages.map((message) => message.message_id);
 
-        logInfo(`✅ 성경 구절 ${nextIndex}/${totalCount} 전송 완료!`);
+  if (readingIndex && files.length > 1) {
+    const buttonMessage = await bot.telegram.sendMessage(
+      chatId,
+      `👆 ${readingIndex}번 구절 (${files.length}장)을 읽고 완독 버튼을 눌러주세요.`,
+      keyboard
+    );
+    messageIds.push(buttonMessage.message_id);
+  }
 
-        // 마지막 구절인 경우 전체 통독 완료 처리
-        if (nextIndex === totalCount) {
-          logInfo("🎊 전체 성경통독 완료! 통계 생성 예약");
-          // 다음 날 전체 통계 보고
-          setTimeout(() => generateAndSendOverallStats(), 1000 * 60 * 60 * 24); // 24시간 후
-        }
+  return messageIds;
+}
 
-        logInfo(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-      } catch (error) {
-        logError("❌ [일일 전송] 작업 실패", error);
+/**
+ * 그룹 표시 이름 (로그용)
+ */
+function groupLabel(group) {
+  return group.title ? `${group.title}(${group.chat_id})` : `${group.chat_id}`;
+}
+
+/**
+ * 다음 구절 전송 (다운로드 → 텔레그램 전송 → 진행 상황 업데이트)
+ * 실패 시 예외를 던집니다.
+ * @param {Object} group - 전송할 그룹
+ * @param {Object} options - { missedDate } 누락분을 늦게 보내는 경우 원래 날짜
+ * @returns {Promise<Object|null>} { index, total } (이미 모두 전송했으면 null)
+ */
+async function sendNextReading(group, { missedDate = null } = {}) {
+  const chatId = group.chat_id;
+  const today = getTodayDate();
+  const currentIndex = getCurrentIndex(chatId);
+  const totalCount = await getTotalImageCount();
+  const nextIndex = currentIndex + 1;
+
+  // 이미지 목록 조회 실패 시 0이 반환되므로 완료로 오인하지 않도록 실패 처리
+  if (totalCount === 0) {
+    throw new Error("이미지 저장소에서 이미지 목록을 가져오지 못했습니다.");
+  }
+
+  logInfo(`📊 현재 진행: ${currentIndex}/${totalCount} (다음: ${nextIndex})`);
+
+  // 이미 모든 구절을 전송한 경우
+  if (currentIndex >= totalCount) {
+    logInfo("✅ 모든 성경 구절 전송 완료");
+    return null;
+  }
+
+  // 다음 이미지 조회 (다운로드는 저장된 file_id가 없는 이미지만 전송할 때)
+  const imageData = await getImageByIndex(nextIndex);
+
+  if (!imageData) {
+    throw new Error(`인덱스 ${nextIndex}의 이미지를 찾을 수 없습니다.`);
+  }
+
+  // manifest.json에 제목이 있으면 함께 표시
+  let caption = `📖 오늘의 말씀 (${nextIndex}/${totalCount})`;
+  if (imageData.title) {
+    caption += `\n${imageData.title}`;
+  }
+  caption += `\n\n${today}`;
+  if (missedDate) {
+    caption += `\n⏰ ${missedDate} 누락분 늦은 전송`;
+  }
+
+  // 텔레그램으로 사진 전송 (완독 버튼 포함, 여러 장이면 앨범)
+  logInfo(`📤 텔레그램으로 이미지 ${imageData.files.length}장 전송 중...`);
+  const messageIds = await sendReadingImages(chatId, imageData.files, caption, nextIndex);
+
+  // 진행 상황 업데이트 (사진 메시지 ID는 반응 완독에 사용)
+  updateProgress(chatId, nextIndex);
+  for (const messageId of messageIds) {
+    saveReadingPost(chatId, messageId, nextIndex, today);
+  }
+  recordSendLog(
+    chatId,
+    today,
+    nextIndex,
+    missedDate ? "late" : "sent",
+    missedDate ? `${missedDate} 누락분` : null,
+    missedDate || today
+  );
+
+  logInfo(`✅ [${groupLabel(group)}] 성경 구절 ${nextIndex}/${totalCount} 전송 완료!`);
+
+  // 마지막 구절인 경우 세션 완료 및 전체 통독 완료 처리
+  if (nextIndex === totalCount) {
+    const session = getCurrentSession(chatId);
+    completeSession(session.id);
+
+    logInfo(`🎊 [${groupLabel(group)}] 전체 성경통독 완료! 통계 생성 예약`);
+    // 다음 날 전체 통계 보고 (재시작 후에도 유지되도록 DB에 예약)
+    enqueueJob("overallStats", new Date(Date.now() + OVERALL_STATS_DELAY_MS), {
+      chatId,
+      sessionId: session.id,
+    });
+  }
+
+  return { index: nextIndex, total: totalCount };
+}
+
+/**
+ * 전송 실패 시 재시도 예약 (지수 백오프)
+ * @param {number} chatId - 그룹 Chat ID
+ * @param {number} attempt - 재시도 차수 (1부터 시작)
+ */
+function scheduleRetry(chatId, attempt) {
+  const { retryAttempts, retryDelayMinutes } = getCatchUpConfig();
+  const today = getTodayDate();
+
+  if (attempt > retryAttempts) {
+    recordSendLog(chatId, today, null, "gave_up", `${retryAttempts}회 재시도 후 포기`);
+    logError(
+      "❌ [일일 전송] 재시도 포기",
+      new Error(`${retryAttempts}회 재시도 모두 실패했습니다.`)
+    );
+    return;
+  }
+
+  const delayMinutes = retryDelayMinutes * 2 ** (attempt - 1);
+  recordSendLog(
+    chatId,
+    today,
+    null,
+    "retry_scheduled",
+    `${delayMinutes}분 후 재시도 (${attempt}/${retryAttempts})`
+  );
+  logInfo(
+    `🔁 [${chatId}] ${delayMinutes}분 후 재시도 예약 (${attempt}/${retryAttempts})`
+  );
+
+  clearTimeout(retryTimers.get(chatId));
+  retryTimers.set(
+    chatId,
+    setTimeout(() => {
+      retryTimers.delete(chatId);
+      runDailyReading(chatId, attempt);
+    }, delayMinutes * 60 * 1000)
+  );
+}
+
+/**
+ * 일일 성경 구절 전송 작업 (스케줄 및 재시도에서 호출)
+ * @param {number} chatId - 그룹 Chat ID
+ * @param {number} attempt - 재시도 차수 (0이면 정규 전송)
+ */
+export async function runDailyReading(chatId, attempt = 0) {
+  const group = getGroup(chatId);
+  if (!group || !group.active) {
+    logInfo(`[일일 전송] 비활성 그룹 ${chatId} - 전송하지 않습니다.`);
+    return;
+  }
+
+  if (sendsInProgress.has(chatId)) {
+    logInfo(`⏳ [${groupLabel(group)}] 이미 전송 작업이 진행 중입니다.`);
+    return;
+  }
+
+  sendsInProgress.add(chatId);
+  const today = getTodayDate();
+
+  try {
+    const now = new Date();
+    const nowStr = now.toLocaleString("ko-KR", {
+      timeZone: config.timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      weekday: "long",
+    });
+
+    logInfo(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+    logInfo(
+      `[일일 전송] ${groupLabel(group)} 작업 시작 - ${nowStr}${
+        attempt > 0 ? ` (재시도 ${attempt})` : ""
+      }`
+    );
+    logInfo(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+
+    // 시작 날짜 체크
+    if (group.start_date && today < group.start_date) {
+      logInfo(
+        `⏳ 아직 시작일이 아닙니다. 시작일: ${group.start_date}, 현재: ${today}`
+      );
+      return;
+    }
+
+    // 휴독일 체크
+    if (isRestDay(chatId, today)) {
+      logInfo(`🛌 오늘은 휴독일입니다. 전송을 건너뜁니다.`);
+      return;
+    }
+
+    // 재시도 전에 이미 전송되었으면 중단
+    if (attempt > 0 && getCurrentSession(chatId)?.last_sent_date === today) {
+      logInfo("✅ 오늘 구절이 이미 전송되어 재시도를 중단합니다.");
+      return;
+    }
+
+    await sendNextReading(group);
+
+    logInfo(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+  } catch (error) {
+    logError(`❌ [일일 전송] ${groupLabel(group)} 작업 실패`, error);
+    recordSendLog(chatId, today, getCurrentIndex(chatId) + 1, "failed", error.message);
+    scheduleRetry(chatId, attempt + 1);
+  } finally {
+    sendsInProgress.delete(chatId);
+  }
+}
+
+/**
+ * 누락된 통독일 목록 조회
+ * 마지막으로 처리된 날짜 다음 날부터 오늘(전송 시간이 지났으면) 또는 어제까지
+ * @param {Object} group - 그룹 정보
+ * @returns {Array<string>} 누락된 통독일 (오래된 순)
+ */
+export function getMissedReadingDates(group) {
+  const chatId = group.chat_id;
+  const today = getTodayDate();
+  const session = getCurrentSession(chatId);
+  const lastHandled = [session?.last_sent_date, getLastHandledSendDate(chatId)]
+    .filter(Boolean)
+    .sort()
+    .pop();
+
+  let from = lastHandled ? addDays(lastHandled, 1) : group.start_date;
+  if (!from) {
+    return [];
+  }
+  if (group.start_date && group.start_date > from) {
+    from = group.start_date;
+  }
+
+  const until = hasSendTimePassed(group.send_time) ? today : addDays(today, -1);
+  const missedDates = [];
+
+  for (
+    let date = from;
+    date <= until && missedDates.length < MAX_MISSED_DATES;
+    date = addDays(date, 1)
+  ) {
+    if (isReadingDay(chatId, date)) {
+      missedDates.push(date);
+    }
+  }
+
+  return missedDates;
+}
+
+/**
+ * 그룹의 누락된 전송 처리 (봇 시작 시 호출)
+ * 설정된 정책에 따라 늦게 전송하거나 건너뛰고, 모든 결정을 DB에 기록합니다.
+ * @param {number} chatId - 그룹 Chat ID
+ * @returns {Promise<Object>} { policy, missedDates, sent } 처리 결과
+ */
+export async function runCatchUp(chatId) {
+  const { policy, maxReadings } = getCatchUpConfig();
+  const today = getTodayDate();
+  const group = getGroup(chatId);
+
+  if (!group || !group.active) {
+    return { policy, missedDates: [], sent: 0 };
+  }
+
+  // 이미 모든 구절을 전송했으면 누락 처리 불필요
+  const totalCount = await getTotalImageCount();
+  if (totalCount > 0 && getCurrentIndex(chatId) >= totalCount) {
+    logInfo(`[누락 확인] ${groupLabel(group)} 모든 성경 구절 전송 완료 - 누락 확인 생략`);
+    return { policy, missedDates: [], sent: 0 };
+  }
+
+  const missedDates = getMissedReadingDates(group);
+
+  if (missedDates.length === 0) {
+    logInfo(`[누락 확인] ${groupLabel(group)} 누락된 전송이 없습니다.`);
+    return { policy, missedDates, sent: 0 };
+  }
+
+  logInfo(
+    `[누락 확인] ${groupLabel(group)} 누락된 통독일 ${missedDates.length}일: ${missedDates.join(", ")} (정책: ${policy})`
+  );
+
+  let sendCount = 0;
+  if (policy === "late") {
+    sendCount = 1;
+  } else if (policy === "both") {
+    sendCount = Math.min(missedDates.length, maxReadings);
+  }
+
+  // 구절은 순서대로 나가므로 가장 오래된 누락일부터 전송하고,
+  // 나머지 날은 skip 정책이면 건너뜀, 그 외에는 다음 구절부터 미룬 것으로 기록
+  const sendDates = missedDates.slice(0, sendCount);
+  const restDates = missedDates.slice(sendCount);
+  const restStatus = policy === "skip" ? "skipped" : "postponed";
+
+  restDates.forEach((date) =>
+    recordSendLog(chatId, date, null, restStatus, `누락 처리 정책: ${policy}`)
+  );
+
+  if (sendDates.length === 0) {
+    return { policy, missedDates, sent: 0 };
+  }
+
+  if (sendsInProgress.has(chatId)) {
+    logInfo(`⏳ [${groupLabel(group)}] 이미 전송 작업이 진행 중입니다.`);
+    return { policy, missedDates, sent: 0 };
+  }
+
+  sendsInProgress.add(chatId);
+  let sent = 0;
+
+  try {
+    for (const missedDate of sendDates) {
+      const result = await sendNextReading(group, { missedDate });
+      if (!result) {
+        break;
       }
-    },
-    {
-      timezone: config.timezone,
+      sent++;
     }
+  } catch (error) {
+    logError(`❌ [누락 처리] ${groupLabel(group)} 전송 실패`, error);
+    recordSendLog(chatId, today, getCurrentIndex(chatId) + 1, "failed", error.message);
+    scheduleRetry(chatId, 1);
+  } finally {
+    sendsInProgress.delete(chatId);
+  }
+
+  logInfo(`[누락 처리] ${groupLabel(group)} ${sent}개 구절 늦은 전송 완료`);
+  return { policy, missedDates, sent };
+}
+
+/**
+ * 일일 성경 구절 전송 스케줄
+ * 활성 그룹마다 그룹의 send_time에 등록 (excludeDays에 지정된 요일 제외)
+ */
+export function scheduleDailyReading() {
+  const dayField = buildCronDayField();
+
+  if (!dayField) {
+    logInfo(`[스케줄러] 통독 요일이 없어 일일 성경 구절 전송 스케줄을 등록하지 않습니다.`);
+    return;
+  }
+
+  for (const group of getActiveGroups()) {
+    const [hour, minute] = group.send_time.split(":");
+    const cronExpression = `${minute} ${hour} * * ${dayField}`;
+
+    logInfo(`[스케줄러] 일일 성경 구절 전송 스케줄 등록 - ${groupLabel(group)}`);
+    logInfo(`  - 시간: ${group.send_time} (${formatReadingDays()})`);
+    logInfo(`  - Cron 표현식: ${cronExpression}`);
+    logInfo(`  - 타임존: ${config.timezone}`);
+
+    schedules.dailyReading.set(
+      group.chat_id,
+      cron.schedule(cronExpression, () => runDailyReading(group.chat_id), {
+        timezone: config.timezone,
+      })
+    );
+  }
+}
+
+/**
+ * 그룹의 일일 완독률 계산, 저장 및 보고
+ * @param {Object} group - 그룹 정보
+ * @param {string} today - YYYY-MM-DD 형식의 날짜
+ */
+async function sendDailyReport(group, today) {
+  const chatId = group.chat_id;
+
+  // 전체 통독 완료 확인
+  const currentIndex = getCurrentIndex(chatId);
+  const totalCount = await getTotalImageCount();
+
+  if (currentIndex >= totalCount) {
+    logInfo(`✅ [${groupLabel(group)}] 전체 성경 구절 전송 완료 - 일일 보고 중단`);
+    return;
+  }
+
+  // 그룹 멤버 수 조회 (참고용 원본 값, 봇과 읽지 않는 멤버 포함)
+  let rawMembers = null;
+  try {
+    rawMembers = await bot.telegram.getChatMembersCount(chatId);
+    logInfo(`그룹 멤버 수 조회 성공: ${rawMembers}명`);
+  } catch (error) {
+    logError("그룹 멤버 수 조회 실패", error);
+  }
+
+  // 완독률은 참여자 목록 기준 (봇, 제외된 사용자, 오늘 들어온 사람 제외)
+  const totalMembers = getEnrolledReaderCount(chatId, today);
+  const completedCount = getEnrolledCompletionCount(chatId, today);
+
+  // 완독률 계산
+  const completionRate =
+    totalMembers > 0 ? ((completedCount / totalMembers) * 100).toFixed(1) : 0;
+
+  // 통계 저장
+  saveDailyStats(
+    chatId,
+    today,
+    totalMembers,
+    completedCount,
+    completionRate,
+    rawMembers
   );
+
+  // 그룹에 보고
+  let message =
+    `📊 오늘의 통독 결과\n\n` +
+    `날짜: ${today}\n` +
+    `완독: ${completedCount}명 / ${totalMembers}명\n` +
+    `완독률: ${completionRate}%`;
+
+  const celebration = buildStreakCelebration(chatId, today);
+  if (celebration) {
+    message += `\n\n${celebration}`;
+  }
+
+  await bot.telegram.sendMessage(chatId, message);
+
+  logInfo(`✅ [${groupLabel(group)}] 일일 완독률 보고 완료: ${completionRate}%`);
+}
+
+/**
+ * 오늘 연속 통독 목표 일수(streakMilestones)를 달성한 참여자 축하 문구
+ * 순위 숨김을 선택한 참여자는 제외합니다.
+ * @returns {string|null} 달성자가 없으면 null
+ */
+function buildStreakCelebration(chatId, today) {
+  const milestones = config.streakMilestones || [];
+  if (milestones.length === 0) {
+    return null;
+  }
+
+  const achievers = [];
+  for (const completion of getCompletionsByDate(chatId, today)) {
+    const participant = getParticipant(chatId, completion.user_id);
+    if (participant && participant.hidden) {
+      continue;
+    }
+
+    const { current } = calculateStreak(
+      chatId,
+      getUserCompletionDates(chatId, completion.user_id),
+      today
+    );
+    if (milestones.includes(current)) {
+      const name = getDisplayName(participant || completion);
+      achievers.push(`${name} ${current}일`);
+    }
+  }
+
+  if (achievers.length === 0) {
+    return null;
+  }
+
+  return `🔥 연속 통독 달성: ${achievers.join(", ")}! 축하합니다 🎉`;
 }
 
 /**
  * 일일 완독률 보고 스케줄
- * 매일 23:59
+ * 매일 completionReportTime (excludeDays에 지정된 요일 제외), 활성 그룹 전체 보고
  */
 export function scheduleDailyReport() {
+  const dayField = buildCronDayField();
+
+  if (!dayField) {
+    logInfo(`[스케줄러] 통독 요일이 없어 일일 완독률 보고 스케줄을 등록하지 않습니다.`);
+    return;
+  }
+
   const [hour, minute] = config.completionReportTime.split(":");
-  const cronExpression = `${minute} ${hour} * * *`; // 매일
+  const cronExpression = `${minute} ${hour} * * ${dayField}`;
 
   logInfo(`[스케줄러] 일일 완독률 보고 스케줄 등록`);
-  logInfo(`  - 시간: ${config.completionReportTime} (매일)`);
+  logInfo(`  - 시간: ${config.completionReportTime} (${formatReadingDays()})`);
   logInfo(`  - Cron 표현식: ${cronExpression}`);
   logInfo(`  - 타임존: ${config.timezone}`);
 
@@ -174,53 +752,25 @@ export function scheduleDailyReport() {
         logInfo(`[일일 보고] 작업 시작 - ${nowStr}`);
         logInfo(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
 
-        // 전체 통독 완료 확인
-        const currentIndex = getCurrentIndex();
-        const totalCount = await getTotalImageCount();
-
-        if (currentIndex >= totalCount) {
-          logInfo("✅ 전체 성경 구절 전송 완료 - 일일 보고 중단");
-          return;
-        }
-
         const today = getTodayDate();
 
-        // 그룹 멤버 수 조회
-        let totalMembers = 0;
-        try {
-          // getChatMembersCount 메서드 사용 (Telegram Bot API)
-          const chatMemberCount = await bot.telegram.getChatMembersCount(
-            config.telegram.groupChatId
-          );
-          totalMembers = chatMemberCount - 1; // 봇 제외
-          logInfo(`그룹 멤버 수 조회 성공: ${totalMembers}명 (봇 제외)`);
-        } catch (error) {
-          logError("그룹 멤버 수 조회 실패", error);
-          totalMembers = 0;
-        }
-
-        // 오늘의 완독 횟수
-        const completedCount = getCompletionCount(today);
-
-        // 완독률 계산
-        const completionRate =
-          totalMembers > 0
-            ? ((completedCount / totalMembers) * 100).toFixed(1)
-            : 0;
-
-        // 통계 저장
-        saveDailyStats(today, totalMembers, completedCount, completionRate);
-
-        // 그룹에 보고
-        const message =
-          `📊 오늘의 통독 결과\n\n` +
-          `날짜: ${today}\n` +
-          `완독: ${completedCount}명 / ${totalMembers}명\n` +
-          `완독률: ${completionRate}%`;
+        // 한 그룹의 실패가 다른 그룹 보고를 막지 않도록 그룹별로 처리
+        for (const group of getActiveGroups()) {
+          // 그룹 휴독일에는 보고하지 않음
+          if (isRestDay(group.chat_id, today)) {
+            logInfo(
+              `🛌 [${groupLabel(group)}] 오늘은 휴독일입니다. 일일 보고를 건너뜁니다.`
+            );
+            continue;
+          }
 
-        await bot.telegram.sendMessage(config.telegram.groupChatId, message);
+          try {
+            await sendDailyReport(group, today);
+          } catch (error) {
+            logError(`❌ [일일 보고] ${groupLabel(group)} 보고 실패`, error);
+          }
+        }
 
-        logInfo(`✅ 일일 완독률 보고 완료: ${completionRate}%`);
         logInfo(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
       } catch (error) {
         logError("❌ [일일 보고] 작업 실패", error);
@@ -273,28 +823,39 @@ export function scheduleMonthlyReport() {
           const year = today.getFullYear();
           const month = today.getMonth() + 1;
 
-          // 월간 통계 계산
-          const stats = calculateMonthlyStats(year, month);
-
-          if (!stats) {
-            logInfo(`${year}년 ${month}월 통계 데이터가 없습니다.`);
-            return;
+          for (const group of getActiveGroups()) {
+            try {
+              // 월간 통계 계산
+              const stats = calculateMonthlyStats(group.chat_id, year, month);
+
+              if (!stats) {
+                logInfo(
+                  `[${groupLabel(group)}] ${year}년 ${month}월 통계 데이터가 없습니다.`
+                );
+                continue;
+              }
+
+              // 통계 저장
+              saveMonthlyStats(group.chat_id, year, month, stats);
+
+              // 그룹에 보고
+              const message =
+                `📅 ${year}년 ${month}월 통독 결과\n\n` +
+                `총 통독일: ${stats.reading_days}일\n` +
+                `총 완독 횟수: ${formatNumber(stats.total_completions)}회\n` +
+                `평균 완독률: ${stats.average_rate}%\n\n` +
+                `🎉 ${month}월 수고하셨습니다!`;
+
+              await bot.telegram.sendMessage(group.chat_id, message);
+
+              logInfo(
+                `✅ [${groupLabel(group)}] 월간 통계 보고 완료: ${year}년 ${month}월`
+              );
+            } catch (error) {
+              logError(`❌ [월간 보고] ${groupLabel(group)} 보고 실패`, error);
+            }
           }
 
-          // 통계 저장
-          saveMonthlyStats(year, month, stats);
-
-          // 그룹에 보고
-          const message =
-            `📅 ${year}년 ${month}월 통독 결과\n\n` +
-            `총 통독일: ${stats.reading_days}일\n` +
-            `총 완독 횟수: ${formatNumber(stats.total_completions)}회\n` +
-            `평균 완독률: ${stats.average_rate}%\n\n` +
-            `🎉 ${month}월 수고하셨습니다!`;
-
-          await bot.telegram.sendMessage(config.telegram.groupChatId, message);
-
-          logInfo(`✅ 월간 통계 보고 완료: ${year}년 ${month}월`);
           logInfo(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
         }
       } catch (error) {
@@ -309,20 +870,24 @@ export function scheduleMonthlyReport() {
 
 /**
  * 전체 통독 완료 통계 생성 및 전송
+ * @param {number} chatId - 그룹 Chat ID
+ * @param {number} sessionId - 완료된 세션 ID (기본: 현재 세션)
  */
-export async function generateAndSendOverallStats() {
+export async function generateAndSendOverallStats(chatId, sessionId = null) {
   try {
-    logInfo("전체 통독 통계 생성 시작");
+    logInfo(`전체 통독 통계 생성 시작: 그룹 ${chatId}`);
 
-    const progress = getProgress();
-    // created_at에서 날짜 부분만 추출 (YYYY-MM-DD HH:MM:SS -> YYYY-MM-DD)
-    const startDate = progress.created_at 
-      ? progress.created_at.split(' ')[0] 
-      : getTodayDate();
-    const endDate = getTodayDate();
+    const session = sessionId ? getSession(sessionId) : getCurrentSession(chatId);
+    // /hardreset으로 세션이 삭제되었으면 보고할 통계가 없음
+    if (!session) {
+      logInfo(`⚠️  세션 ${sessionId}이(가) 없어 전체 통독 통계를 보내지 않습니다.`);
+      return true;
+    }
+    const startDate = session.start_date || getTodayDate();
+    const endDate = session.end_date || getTodayDate();
 
-    // 현재 세션의 통계만 계산 (getAllDailyStats가 자동으로 필터링)
-    const allDailyStats = getAllDailyStats();
+    // 해당 세션의 통계만 계산
+    const allDailyStats = getAllDailyStats(chatId, session.id);
     const totalDays = allDailyStats.length;
     const totalReadings = await getTotalImageCount();
     const totalCompletions = allDailyStats.reduce(
@@ -338,11 +903,10 @@ export async function generateAndSendOverallStats() {
         : 0;
 
     // 상위 참여자 조회 (완독 횟수 TOP 5)
-    const topParticipants = getTopParticipants(5);
+    const topParticipants = getTopParticipants(chatId, 5, session.id);
     const topList = topParticipants
       .map((p, idx) => {
-        const name = p.first_name || p.username || `사용자${p.user_id}`;
-        return `${idx + 1}. ${name}: ${p.count}회`;
+        return `${idx + 1}. ${getDisplayName(p)}: ${p.count}회`;
       })
       .join("\n");
 
@@ -360,10 +924,11 @@ export async function generateAndSendOverallStats() {
       `🏆 완독왕 TOP 5\n${topList}\n\n` +
       `💝 모두 수고 많으셨습니다!`;
 
-    await bot.telegram.sendMessage(config.telegram.groupChatId, message);
+    await bot.telegram.sendMessage(chatId, message);
 
     // DB에 전체 통계 저장
-    saveOverallStats({
+    saveOverallStats(chatId, {
+      session_id: session.id,
       start_date: startDate,
       end_date: endDate,
       total_days: totalDays,
@@ -374,15 +939,214 @@ export async function generateAndSendOverallStats() {
     });
 
     logInfo("전체 통독 통계 전송 완료");
+    return true;
   } catch (error) {
     logError("전체 통독 통계 생성 실패", error);
+    return false;
   }
 }
 
+/**
+ * 실행 시각이 지난 예약 작업 처리
+ * 실패한 작업은 MAX_JOB_ATTEMPTS까지 재시도합니다.
+ */
+export async function processDueJobs() {
+  if (jobsInProgress) {
+    return;
+  }
+
+  jobsInProgress = true;
+
+  try {
+    for (const job of getDueJobs()) {
+      const handler = JOB_HANDLERS[job.type];
+
+      if (!handler) {
+        logError("예약 작업 실행 실패", new Error(`알 수 없는 작업: ${job.type}`));
+        markJobFailed(job.id, `알 수 없는 작업: ${job.type}`);
+        continue;
+      }
+
+      logInfo(`[예약 작업] ${job.type} (#${job.id}) 실행`);
+
+      let errorMessage = null;
+      try {
+        const success = await handler(safeJsonParse(job.payload, {}) || {});
+        if (!success) {
+          errorMessage = "작업이 실패를 반환했습니다.";
+        }
+      } catch (error) {
+        errorMessage = error.message;
+      }
+
+      if (!errorMessage) {
+        markJobDone(job.id);
+        logInfo(`[예약 작업] ${job.type} (#${job.id}) 완료`);
+      } else if (job.attempts + 1 < MAX_JOB_ATTEMPTS) {
+        markJobFailed(job.id, errorMessage, new Date(Date.now() + JOB_RETRY_DELAY_MS));
+        logError(`[예약 작업] ${job.type} (#${job.id}) 실패, 재시도 예약`, new Error(errorMessage));
+      } else {
+        markJobFailed(job.id, errorMessage);
+        logError(`[예약 작업] ${job.type} (#${job.id}) 최종 실패`, new Error(errorMessage));
+      }
+    }
+  } catch (error) {
+    logError("❌ [예약 작업] 처리 실패", error);
+  } finally {
+    jobsInProgress = false;
+  }
+}
+
+/**
+ * 예약 작업 실행 스케줄
+ * 매분 실행 시각이 지난 작업을 확인
+ */
+export function scheduleJobRunner() {
+  const cronExpression = "* * * * *";
+
+  logInfo(`[스케줄러] 예약 작업 실행 스케줄 등록`);
+  logInfo(`  - Cron 표현식: ${cronExpression}`);
+
+  schedules.jobRunner = cron.schedule(cronExpression, () => processDueJobs(), {
+    timezone: config.timezone,
+  });
+
+  // 재시작 동안 실행 시각이 지난 작업 즉시 처리
+  processDueJobs();
+}
+
+/**
+ * 관리자 전원에게 개인 메시지 전송 (봇을 시작하지 않은 관리자는 건너뜀)
+ */
+async function notifyAdmins(message) {
+  for (const adminId of config.telegram.adminUserIds) {
+    try {
+      await bot.telegram.sendMessage(adminId, message);
+    } catch (error) {
+      logError(`관리자 ${adminId}에게 메시지 전송 실패`, error);
+    }
+  }
+}
+
+/**
+ * 다음 구절 이미지 미리 확인
+ * 활성 그룹마다 다음에 보낼 구절의 이미지를 미리 다운로드해 체크섬과 텔레그램 사진 제한을 확인하고,
+ * 문제가 없으면 로컬에 저장해 아침 전송 때 사용합니다. 문제가 있으면 관리자에게 개인 메시지로 알립니다.
+ * (텔레그램 file_id가 저장된 이미지는 이미 보낸 적이 있으므로 확인하지 않음)
+ * @returns {Promise<Array>} 문제가 있는 구절 목록 { index, groups, problems }
+ */
+export async function runPreflightCheck() {
+  logInfo(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+  logInfo(`[이미지 확인] 작업 시작`);
+  logInfo(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+
+  let readings;
+  try {
+    // 저장소에서 고친 이미지가 반영되도록 목록을 새로 조회
+    readings = await listImages(true);
+    await clearPrefetchedImages();
+  } catch (error) {
+    logError("❌ [이미지 확인] 이미지 목록 조회 실패", error);
+    await notifyAdmins(
+      `⚠️ 다음 구절 이미지 확인 실패
+
+이미지 저장소에서 목록을 가져오지 못했습니다.
+${error.message}`
+    );
+    return [];
+  }
+
+  // 여러 그룹이 같은 구절을 보내면 한 번만 확인
+  const groupsByIndex = new Map();
+  for (const group of getActiveGroups()) {
+    const nextIndex = getCurrentIndex(group.chat_id) + 1;
+    if (nextIndex > readings.length) {
+      continue; // 모든 구절 전송 완료
+    }
+    if (!groupsByIndex.has(nextIndex)) {
+      groupsByIndex.set(nextIndex, []);
+    }
+    groupsByIndex.get(nextIndex).push(group);
+  }
+
+  const failures = [];
+  for (const [index, groups] of groupsByIndex) {
+    const reading = readings.find((r) => r.index === index);
+    const problems = [];
+
+    if (!reading) {
+      problems.push("저장소에 이미지가 없습니다");
+    } else {
+      for (const file of reading.files) {
+        if (file.etag && getTelegramFileId(file.key, file.etag)) {
+          continue;
+        }
+        const fileProblems = await prefetchImageFile(file);
+        problems.push(...fileProblems.map((problem) => `${file.key}: ${problem}`));
+      }
+    }
+
+    if (problems.length > 0) {
+      logInfo(`⚠️  [이미지 확인] ${index}번 구절 문제: ${problems.join(" / ")}`);
+      failures.push({ index, groups, problems });
+    } else {
+      logInfo(`✅ [이미지 확인] ${index}번 구절 이상 없음`);
+    }
+  }
+
+  if (failures.length > 0) {
+    let message = `⚠️ 다음에 보낼 말씀 이미지에 문제가 있습니다.\n`;
+    for (const { index, groups, problems } of failures) {
+      message += `\n📖 ${index}번 구절 (${groups.map(groupLabel).join(", ")})\n`;
+      message += problems.map((problem) => `- ${problem}`).join("\n") + "\n";
+    }
+    message += `\n전송 시간 전에 이미지 저장소를 확인해주세요.`;
+    await notifyAdmins(message);
+  }
+
+  logInfo(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+  return failures;
+}
+
+/**
+ * 전송 전 이미지 확인 스케줄
+ * 매일 preflight.time (그룹마다 통독 요일이 같으므로 매일 실행해 다음 구절을 확인)
+ */
+export function schedulePreflightCheck() {
+  const preflight = getPreflightConfig();
+
+  if (!preflight.enabled) {
+    logInfo(`[스케줄러] 전송 전 이미지 확인이 꺼져 있습니다.`);
+    return;
+  }
+
+  const [hour, minute] = preflight.time.split(":");
+  const cronExpression = `${minute} ${hour} * * *`;
+
+  logInfo(`[스케줄러] 전송 전 이미지 확인 스케줄 등록`);
+  logInfo(`  - 시간: ${preflight.time} (매일)`);
+  logInfo(`  - Cron 표현식: ${cronExpression}`);
+
+  schedules.preflight = cron.schedule(
+    cronExpression,
+    async () => {
+      try {
+        await runPreflightCheck();
+      } catch (error) {
+        logError("❌ [이미지 확인] 작업 실패", error);
+      }
+    },
+    {
+      timezone: config.timezone,
+    }
+  );
+}
+
 /**
  * 스케줄러 정보 조회
+ * @param {Object} group - 그룹 정보 (지정하면 그룹의 전송 스케줄과 예약 작업 포함)
  */
-export function getScheduleInfo() {
+export function getScheduleInfo(group = null) {
   const now = new Date();
   const timezone = config.timezone;
 
@@ -404,25 +1168,37 @@ export function getScheduleInfo() {
   });
 
   // 스케줄 정보
-  const [readingHour, readingMinute] = config.sendTime.split(":");
   const [reportHour, reportMinute] = config.completionReportTime.split(":");
+  const dayField = buildCronDayField();
+  const readingDays = formatReadingDays();
+
+  let dailyReading = null;
+  if (group) {
+    const [readingHour, readingMinute] = group.send_time.split(":");
+    dailyReading = {
+      time: group.send_time,
+      cronExpression: dayField
+        ? `${readingMinute} ${readingHour} * * ${dayField}`
+        : "없음",
+      days: readingDays,
+      active: schedules.dailyReading.has(group.chat_id),
+      startDate: group.start_date || "즉시 시작",
+    };
+  }
 
   return {
     currentTime,
     timezone,
     dayOfWeek,
+    excludeDays: config.excludeDays || [],
     schedules: {
-      dailyReading: {
-        time: config.sendTime,
-        cronExpression: `${readingMinute} ${readingHour} * * 1-6`,
-        days: "월-토요일",
-        active: schedules.dailyReading !== null,
-        startDate: config.startDate || "즉시 시작",
-      },
+      dailyReading,
       dailyReport: {
         time: config.completionReportTime,
-        cronExpression: `${reportMinute} ${reportHour} * * *`,
-        days: "매일",
+        cronExpression: dayField
+          ? `${reportMinute} ${reportHour} * * ${dayField}`
+          : "없음",
+        days: readingDays,
         active: schedules.dailyReport !== null,
       },
       monthlyReport: {
@@ -431,7 +1207,18 @@ export function getScheduleInfo() {
         days: "매월 말일",
         active: schedules.monthlyReport !== null,
       },
+      jobRunner: {
+        cronExpression: "* * * * *",
+        active: schedules.jobRunner !== null,
+      },
+      preflight: {
+        time: getPreflightConfig().time,
+        active: schedules.preflight !== null,
+      },
     },
+    pendingJobs: getPendingJobs().filter(
+      (job) => !group || safeJsonParse(job.payload, {})?.chatId === group.chat_id
+    ),
   };
 }
 
@@ -446,6 +1233,8 @@ export function startAllSchedules() {
   scheduleDailyReading();
   scheduleDailyReport();
   scheduleMonthlyReport();
+  scheduleJobRunner();
+  schedulePreflightCheck();
 
   const info = getScheduleInfo();
   logInfo(`⏰ 현재 시간: ${info.currentTime}`);
@@ -459,10 +1248,10 @@ export function startAllSchedules() {
 export function stopAllSchedules() {
   logInfo("📅 모든 스케줄러 중지 중...");
 
-  if (schedules.dailyReading) {
-    schedules.dailyReading.stop();
-    schedules.dailyReading = null;
+  for (const task of schedules.dailyReading.values()) {
+    task.stop();
   }
+  schedules.dailyReading.clear();
 
   if (schedules.dailyReport) {
     schedules.dailyReport.stop();
@@ -474,6 +1263,16 @@ export function stopAllSchedules() {
     schedules.monthlyReport = null;
   }
 
+  if (schedules.jobRunner) {
+    schedules.jobRunner.stop();
+    schedules.jobRunner = null;
+  }
+
+  if (schedules.preflight) {
+    schedules.preflight.stop();
+    schedules.preflight = null;
+  }
+
   logInfo("✅ 모든 스케줄러 중지 완료");
 }
 
@@ -489,10 +1288,19 @@ export function restartAllSchedules() {
 
 export default {
   setBot,
+  buildCompletionKeyboard,
+  sendReadingImages,
   scheduleDailyReading,
   scheduleDailyReport,
   scheduleMonthlyReport,
+  runDailyReading,
+  getMissedReadingDates,
+  runCatchUp,
   generateAndSendOverallStats,
+  processDueJobs,
+  scheduleJobRunner,
+  runPreflightCheck,
+  schedulePreflightCheck,
   startAllSchedules,
   stopAllSchedules,
   restartAllSchedules,
@@ -71,6 +71,125 @@ export function getBrisbaneTime() {
   return new Date(new Date().toLocaleString('en-US', options));
 }
 
+/**
+ * YYYY-MM-DD 형식 날짜에 일수 더하기
+ * @param {string} dateStr - YYYY-MM-DD 형식의 날짜
+ * @param {number} days - 더할 일수 (음수 가능)
+ * @returns {string} YYYY-MM-DD 형식의 날짜
+ */
+export function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * YYYY-MM-DD 형식 및 실제 존재하는 날짜인지 확인
+ * @param {string} dateStr - 확인할 문자열
+ * @returns {boolean} 유효 여부
+ */
+export function isValidDateString(dateStr) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(dateStr);
+}
+
+// 요일 이름 (0=일요일)
+const WEEKDAY_NAMES = ['일', '월', '화', '수', '목', '금', '토'];
+
+/**
+ * YYYY-MM-DD 형식 날짜의 요일 반환
+ * @param {string} dateStr - YYYY-MM-DD 형식의 날짜
+ * @returns {number} 요일 (0=일요일, 6=토요일)
+ */
+export function getDayOfWeek(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * 제외 요일을 뺀 통독 요일 목록 반환
+ * @param {Array<number>} excludeDays - 제외할 요일 배열 (기본값: config.excludeDays)
+ * @returns {Array<number>} 통독 요일 배열 (오름차순)
+ */
+export function getReadingWeekdays(excludeDays = config.excludeDays || []) {
+  return [0, 1, 2, 3, 4, 5, 6].filter(day => !excludeDays.includes(day));
+}
+
+/**
+ * 연속된 요일을 구간으로 묶기 (예: [1,2,3,5] -> [[1,3],[5,5]])
+ * @param {Array<number>} days - 요일 배열 (오름차순)
+ * @returns {Array<Array<number>>} [시작, 끝] 구간 배열
+ */
+function groupConsecutiveDays(days) {
+  const ranges = [];
+  for (const day of days) {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === day - 1) {
+      last[1] = day;
+    } else {
+      ranges.push([day, day]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * 제외 요일을 반영한 cron 요일 필드 생성 (예: [0] -> "1-6")
+ * @param {Array<number>} excludeDays - 제외할 요일 배열 (기본값: config.excludeDays)
+ * @returns {string|null} cron 요일 필드 (통독 요일이 없으면 null)
+ */
+export function buildCronDayField(excludeDays = config.excludeDays || []) {
+  const days = getReadingWeekdays(excludeDays);
+
+  if (days.length === 0) return null;
+  if (days.length === 7) return '*';
+
+  return groupConsecutiveDays(days)
+    .map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`))
+    .join(',');
+}
+
+/**
+ * 통독 요일을 한글로 표시 (예: [0] -> "월-토요일")
+ * @param {Array<number>} excludeDays - 제외할 요일 배열 (기본값: config.excludeDays)
+ * @returns {string} 한글 요일 표시
+ */
+export function formatReadingDays(excludeDays = config.excludeDays || []) {
+  const days = getReadingWeekdays(excludeDays);
+
+  if (days.length === 0) return '없음';
+  if (days.length === 7) return '매일';
+
+  const label = groupConsecutiveDays(days)
+    .map(([start, end]) =>
+      start === end ? WEEKDAY_NAMES[start] : `${WEEKDAY_NAMES[start]}-${WEEKDAY_NAMES[end]}`
+    )
+    .join(', ');
+
+  return `${label}요일`;
+}
+
+/**
+ * 요일 이름 반환 (예: 0 -> "일")
+ * @param {number} day - 요일 (0=일요일)
+ * @returns {string} 요일 이름
+ */
+export function getWeekdayName(day) {
+  return WEEKDAY_NAMES[day];
+}
+
+/**
+ * 요일 입력값 파싱 (숫자 0-6 또는 "일", "월요일" 등)
+ * @param {string} value - 입력값
+ * @returns {number} 요일 (실패 시 -1)
+ */
+export function parseWeekday(value) {
+  if (/^[0-6]$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  return WEEKDAY_NAMES.indexOf(value.replace(/요일$/, ''));
+}
+
 /**
  * 파일명에서 인덱스 추출 (예: "1_창세기1장.jpg" -> 1)
  * @param {string} filename - 파일명
@@ -90,6 +209,20 @@ export function formatNumber(num) {
   return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
 }
 
+/**
+ * 참여자 표시 이름 (별명 > 이름 > 사용자명 순)
+ * @param {Object} participant - { user_id, nickname, first_name, username }
+ * @returns {string} 표시 이름
+ */
+export function getDisplayName(participant) {
+  return (
+    participant.nickname ||
+    participant.first_name ||
+    participant.username ||
+    `사용자${participant.user_id}`
+  );
+}
+
 /**
  * 백분율 계산
  * @param {number} part - 부분 값